@@ -5,12 +5,31 @@ const cors = require('cors');
 const nodemailer = require('nodemailer');
 const multer = require('multer');
 const mongoose = require('mongoose');
-const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
-const { NodeHttpHandler } = require('@aws-sdk/node-http-handler');
-const { randomUUID } = require('crypto');   // ✅ use built-in UUID
+const {
+  S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectsCommand, ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { NodeHttpHandler } = require('@smithy/node-http-handler');
+const { randomUUID, randomInt, createHash, createHmac, timingSafeEqual } = require('crypto');   // ✅ use built-in UUID
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { XMLParser } = require('fast-xml-parser');
+const sharp = require('sharp');
+const { once } = require('events');
+const QRCode = require('qrcode');
+const ExcelJS = require('exceljs');
+const fs = require('fs/promises');
+const { createWriteStream, mkdirSync, accessSync, constants: fsConstants } = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
 
 const app = express();
+// Vercel terminates TLS (https links in feeds) and is the only proxy hop: trusting just that hop
+// keeps req.ip/req.protocol from being set by client-sent X-Forwarded-* headers
+app.set('trust proxy', 1);
 app.use(cors());
+// JSON article exports get the same 25mb as the NDJSON/WXR bodies of that route; a parsed body is skipped below
+app.use('/api/admin/news/import', express.json({ limit: '25mb' }));
 app.use(express.json({ limit: '10mb' }));
 
 const {
@@ -20,7 +39,16 @@ const {
   R2_ENDPOINT = '',
   R2_ACCESS_KEY_ID = '',
   R2_SECRET_ACCESS_KEY = '',
-  R2_PUBLIC_BASE_URL = ''
+  R2_PUBLIC_BASE_URL = '',
+  STORAGE_DRIVER = '',                  // r2 | local
+  LOCAL_STORAGE_DIR = './uploads',
+  LOCAL_STORAGE_URL = '/api/files',     // public base of local files, e.g. http://localhost:3000/api/files
+  SITE_URL = '',            // public website, e.g. https://hsangola.com (used for absolute links)
+  SITE_NAME = 'H&S Angola',
+  NEWS_PATH = '/noticias',  // where the website serves articles: <SITE_URL><NEWS_PATH>/<slug>
+  TICKET_SECRET = '',       // signs attendee ticket codes (defaults to ADMIN_KEY)
+  TICKET_BASE_URL = '',     // public base of ticket links, e.g. https://api.hsangola.com/api/tickets
+  CHECKIN_KEY = ''          // x-checkin-key for door staff, so they don't need the admin key
 } = process.env;
 
 // ---- Mongo: lazy connect + timeouts (prevents 300s timeouts)
@@ -39,6 +67,41 @@ async function ensureMongo() {
 }
 
 // ---- Model (guard against recompile on hot start)
+// draft: admin only; scheduled: goes live at publishAt; archived: hidden but kept
+const NEWS_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+// The top-level title/excerpt/content are in `locale`; other languages live in `translations`
+const SUPPORTED_LOCALES = ['pt', 'en'];
+const DEFAULT_LOCALE = 'pt';
+// `content` is always the sanitized HTML; what the editor sent is kept in contentSource
+const CONTENT_FORMATS = ['html', 'markdown'];
+const TocEntrySchema = new mongoose.Schema({
+  id: { type: String },
+  text: { type: String },
+  level: { type: Number },
+}, { _id: false });
+const contentPaths = {
+  content: { type: String, default: '' },
+  contentFormat: { type: String, enum: CONTENT_FORMATS, default: 'html' },
+  contentSource: { type: String },
+  toc: { type: [TocEntrySchema], default: [] },
+  wordCount: { type: Number, default: 0 },
+  readingTime: { type: Number, default: 0 }, // minutes
+  excerptGenerated: { type: Boolean, default: false },
+};
+const SeoSchema = new mongoose.Schema({
+  metaTitle: { type: String },
+  metaDescription: { type: String },
+  canonicalUrl: { type: String },
+  ogImage: { type: String },
+}, { _id: false });
+const NewsTranslationSchema = new mongoose.Schema({
+  locale: { type: String, enum: SUPPORTED_LOCALES, required: true },
+  slug: { type: String, required: true },
+  title: { type: String, required: true },
+  excerpt: { type: String, default: '' },
+  ...contentPaths,
+  seo: { type: SeoSchema },
+}, { _id: false });
 const NewsSchema = new mongoose.Schema({
   slug: { type: String, required: true, unique: true, index: true },
   title: { type: String, required: true },
@@ -46,28 +109,373 @@ const NewsSchema = new mongoose.Schema({
   cover: { type: String },
   date: { type: Date, default: Date.now },
   author: { type: String, default: 'H&S Angola' },
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Author', index: true },
   categories: { type: [String], default: [] },
   tags: { type: [String], default: [] },
-  content: { type: String, default: '' },
+  ...contentPaths,
+  status: { type: String, enum: NEWS_STATUSES, default: 'published', index: true },
+  publishAt: { type: Date },
+  // optional overrides; GET /api/news/:slug falls back to title/excerpt/cover
+  seo: { type: SeoSchema },
+  locale: { type: String, enum: SUPPORTED_LOCALES, default: DEFAULT_LOCALE },
+  translations: { type: [NewsTranslationSchema], default: [] },
+  // slugs the article used to have (any locale); they redirect here and stay reserved for it
+  previousSlugs: {
+    type: [new mongoose.Schema({
+      slug: { type: String, required: true },
+      locale: { type: String },
+      changedAt: { type: Date, default: Date.now },
+    }, { _id: false })],
+    default: []
+  },
+  commentCount: { type: Number, default: 0 }, // approved comments shown in the thread, kept by syncCommentCount
 }, { timestamps: true });
+NewsSchema.index({ 'previousSlugs.slug': 1 });
+NewsSchema.index({ 'translations.slug': 1 }, { unique: true, partialFilterExpression: { 'translations.slug': { $exists: true } } });
+// Used by /api/search; the analyzer stems words and ignores accents and case. `locale` (pt/en, on
+// the article and on each translation) picks the analyzer, portuguese when it's missing.
+// Only one text index is allowed per collection: after changing it, run the 'text-index' migration.
+const TEXT_SEARCH_LANGUAGES = { pt: 'portuguese', en: 'english' };
+NewsSchema.index(
+  {
+    title: 'text', tags: 'text', excerpt: 'text', content: 'text',
+    'translations.title': 'text', 'translations.excerpt': 'text', 'translations.content': 'text'
+  },
+  {
+    name: 'news_text_i18n',
+    default_language: 'portuguese',
+    language_override: 'locale',
+    weights: { title: 10, 'translations.title': 10, tags: 6, excerpt: 4, 'translations.excerpt': 4, content: 1, 'translations.content': 1 }
+  }
+);
+// keeps Media.usage current for every save path (create, edit, restore, import) and deletes
+NewsSchema.post('save', (doc) => syncMediaUsage('news', doc));
+NewsSchema.post('findOneAndDelete', (doc) => doc && syncMediaUsage('news', doc, { removed: true }));
 const News = mongoose.models.News || mongoose.model('News', NewsSchema);
 
-// ---- R2 client with timeouts (prevents hangs)
-const s3 = new S3Client({
-  region: 'auto',
-  endpoint: R2_ENDPOINT,
-  credentials: { accessKeyId: R2_ACCESS_KEY_ID, secretAccessKey: R2_SECRET_ACCESS_KEY },
-  requestHandler: new NodeHttpHandler({
-    connectionTimeout: 3000, // 3s
-    requestTimeout: 10000    // 10s
-  })
+// ---- Revisions: one snapshot per saved version of an article
+const REVISION_FIELDS = ['slug', 'title', 'excerpt', 'cover', 'date', 'author', 'categories', 'tags', 'content', 'status', 'publishAt', 'seo', 'locale', 'translations', 'contentFormat', 'contentSource', 'authorId'];
+const NewsRevisionSchema = new mongoose.Schema({
+  news: { type: mongoose.Schema.Types.ObjectId, ref: 'News', required: true, index: true },
+  rev: { type: Number, required: true },
+  action: { type: String, enum: ['baseline', 'create', 'update', 'restore', 'import'], default: 'update' },
+  editedBy: { type: String, default: 'admin' },
+  restoredFrom: { type: Number },
+  changes: { type: [String], default: [] },
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+}, { timestamps: true, minimize: false });
+NewsRevisionSchema.index({ news: 1, rev: -1 }, { unique: true });
+const NewsRevision = mongoose.models.NewsRevision || mongoose.model('NewsRevision', NewsRevisionSchema);
+
+// ---- Taxonomy: managed categories and tags; articles store the term slugs
+const TAXONOMIES = { categories: 'category', tags: 'tag' }; // News field / route -> Term.kind
+const TermSchema = new mongoose.Schema({
+  kind: { type: String, enum: Object.values(TAXONOMIES), required: true },
+  slug: { type: String, required: true },
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  aliases: { type: [String], default: [] }, // slugs from renames/merges, so old input still maps here
+}, { timestamps: true });
+TermSchema.index({ kind: 1, slug: 1 }, { unique: true });
+TermSchema.index({ kind: 1, aliases: 1 });
+const Term = mongoose.models.Term || mongoose.model('Term', TermSchema);
+
+// ---- Authors: articles point at one through authorId; `author` keeps the display name for feeds/search
+const DEFAULT_AUTHOR = 'H&S Angola';
+const AUTHOR_SOCIAL_NETWORKS = ['website', 'facebook', 'instagram', 'linkedin', 'x', 'youtube', 'tiktok'];
+const AuthorSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  slug: { type: String, required: true, unique: true, index: true },
+  bio: { type: String, default: '' },
+  avatar: { type: String, default: '' },
+  social: Object.fromEntries(AUTHOR_SOCIAL_NETWORKS.map(n => [n, { type: String }])),
+}, { timestamps: true });
+AuthorSchema.post('save', (doc) => syncMediaUsage('author', doc));
+AuthorSchema.post('deleteOne', { document: true, query: false }, (doc) => syncMediaUsage('author', doc, { removed: true }));
+const Author = mongoose.models.Author || mongoose.model('Author', AuthorSchema);
+
+// ---- Views: one counter per article per UTC day, plus short-lived dedupe markers per visitor
+const VIEW_DEDUP_MINUTES = Number(process.env.VIEW_DEDUP_MINUTES || 30);
+// counted views per IP, across articles (NAT'd offices share an IP, so it's generous)
+const VIEW_RATE_LIMIT = { limit: Number(process.env.VIEW_RATE_LIMIT || 60), windowSeconds: 60 * 60 };
+const MOST_READ_PERIODS = { day: 1, week: 7, month: 30 }; // calendar days, today included
+const NewsViewSchema = new mongoose.Schema({
+  news: { type: mongoose.Schema.Types.ObjectId, ref: 'News', required: true },
+  day: { type: Date, required: true }, // UTC midnight
+  count: { type: Number, default: 0 },
+});
+NewsViewSchema.index({ news: 1, day: 1 }, { unique: true });
+NewsViewSchema.index({ day: 1 });
+const NewsView = mongoose.models.NewsView || mongoose.model('NewsView', NewsViewSchema);
+// _id is a hash of article + visitor, so no IP or user agent is stored
+const NewsViewSeenSchema = new mongoose.Schema({
+  _id: { type: String },
+  seenAt: { type: Date, required: true, expires: VIEW_DEDUP_MINUTES * 60 },
+});
+const NewsViewSeen = mongoose.models.NewsViewSeen || mongoose.model('NewsViewSeen', NewsViewSeenSchema);
+
+// ---- Comments: readers submit, admins moderate; only approved ones are public
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+const CommentSchema = new mongoose.Schema({
+  news: { type: mongoose.Schema.Types.ObjectId, ref: 'News', required: true },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  name: { type: String, required: true, maxlength: 80 },
+  email: { type: String, default: '' }, // never returned by public routes
+  content: { type: String, required: true, maxlength: 4000 },
+  status: { type: String, enum: COMMENT_STATUSES, default: 'pending', index: true },
+  spamReasons: { type: [String], default: [] },
+  visitor: { type: String }, // hashed IP, for spotting repeat offenders
+  moderatedBy: { type: String },
+  moderatedAt: { type: Date },
+}, { timestamps: true });
+CommentSchema.index({ news: 1, status: 1, createdAt: 1 });
+const Comment = mongoose.models.Comment || mongoose.model('Comment', CommentSchema);
+
+// ---- Rate limits: fixed-window counters shared across serverless instances
+const RateLimitSchema = new mongoose.Schema({
+  _id: { type: String }, // <key>:<window start>
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true, expires: 0 },
 });
+const RateLimit = mongoose.models.RateLimit || mongoose.model('RateLimit', RateLimitSchema);
+
+// ---- Media library: one document per uploaded image (all its variants), with where it's used
+const MediaVariantSchema = new mongoose.Schema({
+  name: { type: String },
+  key: { type: String, required: true },
+  url: { type: String, required: true },
+  width: { type: Number },
+  height: { type: Number },
+  bytes: { type: Number },
+}, { _id: false });
+const MediaSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // largest variant, the one `url` points at
+  url: { type: String, required: true },
+  kind: { type: String, default: 'news' },              // s3KeyFor() prefix
+  filename: { type: String, default: '' },
+  mimeType: { type: String, default: 'image/webp' },
+  bytes: { type: Number, default: 0 },                  // all variants together
+  width: { type: Number },
+  height: { type: Number },
+  placeholder: { type: String },                        // URL of the blurred preview (data URL on old uploads)
+  variants: { type: [MediaVariantSchema], default: [] },
+  alt: { type: String, default: '' },
+  uploadedBy: { type: String, default: 'admin' },
+  status: { type: String, enum: ['pending', 'ready'], default: 'ready' }, // pending: presigned, not completed
+  expiresAt: { type: Date, expires: 0 },
+  usage: {
+    type: [new mongoose.Schema({
+      type: { type: String, enum: ['news', 'author'], required: true },
+      ref: { type: mongoose.Schema.Types.ObjectId, required: true },
+      slug: { type: String },
+    }, { _id: false })],
+    default: []
+  },
+}, { timestamps: true });
+MediaSchema.index({ 'variants.url': 1 });
+MediaSchema.index({ 'usage.type': 1, 'usage.ref': 1 });
+const Media = mongoose.models.Media || mongoose.model('Media', MediaSchema);
+
+// ---- Storage: one interface, two drivers. STORAGE_DRIVER=r2|local (default: r2 when R2_BUCKET is set).
+//   put(key, body, { contentType, cacheControl })   delete(key | keys)   head(key) -> { size, contentType, lastModified } | null
+//   read(key, { maxBytes }) -> Buffer   list(prefix) -> [{ key, size, lastModified }]
+//   publicUrl(key)   keyFromUrl(url) -> key | null (null for URLs that aren't ours)   presignPut(key, { contentType, size, expiresIn })
+const IMMUTABLE_CACHE = 'public, max-age=31536000, immutable';
+const LOCAL_FILES_PATH = '/api/files';
+// the directory the local driver writes to and the static mount serves
+const LOCAL_STORAGE_ROOT = path.resolve(LOCAL_STORAGE_DIR);
+
+function createR2Storage() {
+  // timeouts prevent hangs
+  const s3 = new S3Client({
+    region: 'auto',
+    endpoint: R2_ENDPOINT,
+    credentials: { accessKeyId: R2_ACCESS_KEY_ID, secretAccessKey: R2_SECRET_ACCESS_KEY },
+    // R2 doesn't take the SDK's default CRC32 checksums; presigned PUTs would carry an empty-body one
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    requestHandler: new NodeHttpHandler({
+      connectionTimeout: 3000, // 3s
+      requestTimeout: 10000    // 10s
+    })
+  });
+  // You’re using Option A: R2_PUBLIC_BASE_URL already includes /<bucket>
+  const baseUrl = R2_PUBLIC_BASE_URL.replace(/\/+$/, '');
+  return {
+    driver: 'r2',
+    baseUrl,
+    async put(key, body, { contentType, cacheControl = IMMUTABLE_CACHE } = {}) {
+      await s3.send(new PutObjectCommand({ Bucket: R2_BUCKET, Key: key, Body: body, ContentType: contentType, CacheControl: cacheControl }));
+    },
+    async delete(keys) {
+      const list = [].concat(keys);
+      for (let i = 0; i < list.length; i += 1000) {
+        const Objects = list.slice(i, i + 1000).map(Key => ({ Key }));
+        const out = await s3.send(new DeleteObjectsCommand({ Bucket: R2_BUCKET, Delete: { Objects, Quiet: true } }));
+        if (out.Errors?.length) throw new Error(`Could not delete ${out.Errors.map(e => e.Key).join(', ')}`);
+      }
+    },
+    async head(key) {
+      try {
+        const h = await s3.send(new HeadObjectCommand({ Bucket: R2_BUCKET, Key: key }));
+        return { size: h.ContentLength, contentType: h.ContentType, lastModified: h.LastModified };
+      } catch (e) {
+        if (e.$metadata?.httpStatusCode === 404 || e.name === 'NotFound') return null;
+        throw e;
+      }
+    },
+    async read(key, { maxBytes } = {}) {
+      const obj = await s3.send(new GetObjectCommand({ Bucket: R2_BUCKET, Key: key, Range: maxBytes ? `bytes=0-${maxBytes - 1}` : undefined }));
+      return Buffer.from(await obj.Body.transformToByteArray());
+    },
+    async list(prefix) {
+      const objects = [];
+      let ContinuationToken;
+      do {
+        const page = await s3.send(new ListObjectsV2Command({ Bucket: R2_BUCKET, Prefix: prefix, ContinuationToken }));
+        objects.push(...(page.Contents || []).map(o => ({ key: o.Key, size: o.Size, lastModified: o.LastModified })));
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return objects;
+    },
+    publicUrl(key) {
+      return `${baseUrl}/${key}`;
+    },
+    keyFromUrl(url) {
+      if (!baseUrl || !String(url || '').startsWith(`${baseUrl}/`)) return null;
+      const rest = String(url).slice(baseUrl.length + 1).split(/[?#]/)[0];
+      return rest.startsWith(`${R2_BUCKET}/`) ? rest.slice(R2_BUCKET.length + 1) : rest;
+    },
+    async presignPut(key, { contentType, size, expiresIn }) {
+      // Content-Type and Content-Length are signed, so R2 rejects any other type or size
+      const url = await getSignedUrl(
+        s3,
+        new PutObjectCommand({ Bucket: R2_BUCKET, Key: key, ContentType: contentType, ContentLength: size, CacheControl: IMMUTABLE_CACHE }),
+        { expiresIn, signableHeaders: new Set(['content-type', 'content-length']) }
+      );
+      return { url, method: 'PUT', headers: { 'Content-Type': contentType, 'Cache-Control': IMMUTABLE_CACHE } };
+    }
+  };
+}
+
+// Files under LOCAL_STORAGE_DIR, served by this app at /api/files (see the routes below).
+// For development and tests; serverless filesystems are read-only or wiped between invocations.
+function createLocalStorage() {
+  const root = LOCAL_STORAGE_ROOT;
+  const baseUrl = LOCAL_STORAGE_URL.replace(/\/+$/, '');
+  const fileFor = (key) => {
+    const file = path.resolve(root, String(key));
+    if (!file.startsWith(root + path.sep)) throw httpError(400, 'Invalid storage key');
+    return file;
+  };
+  return {
+    driver: 'local',
+    baseUrl,
+    fileFor,
+    async put(key, body) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+    },
+    async delete(keys) {
+      for (const key of [].concat(keys)) await fs.rm(fileFor(key), { force: true });
+    },
+    async head(key) {
+      try {
+        const st = await fs.stat(fileFor(key));
+        return { size: st.size, contentType: localContentType(key), lastModified: st.mtime };
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async read(key, { maxBytes } = {}) {
+      if (!maxBytes) return fs.readFile(fileFor(key));
+      const fh = await fs.open(fileFor(key));
+      try {
+        const { buffer, bytesRead } = await fh.read({ buffer: Buffer.alloc(maxBytes), position: 0 });
+        return buffer.subarray(0, bytesRead);
+      } finally {
+        await fh.close();
+      }
+    },
+    async list(prefix) {
+      let entries = [];
+      try {
+        entries = await fs.readdir(root, { recursive: true, withFileTypes: true });
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      const objects = [];
+      for (const d of entries.filter(d => d.isFile())) {
+        const key = path.relative(root, path.join(d.parentPath ?? d.path, d.name)).split(path.sep).join('/');
+        if (!key.startsWith(prefix)) continue;
+        const st = await fs.stat(path.join(root, key));
+        objects.push({ key, size: st.size, lastModified: st.mtime });
+      }
+      return objects;
+    },
+    publicUrl(key) {
+      return `${baseUrl}/${key}`;
+    },
+    keyFromUrl(url) {
+      if (!String(url || '').startsWith(`${baseUrl}/`)) return null;
+      return String(url).slice(baseUrl.length + 1).split(/[?#]/)[0];
+    },
+    async presignPut(key, { contentType, size, expiresIn }) {
+      const expires = Date.now() + expiresIn * 1000;
+      const qs = new URLSearchParams({ type: contentType, size: String(size), expires: String(expires), signature: localUploadSignature(key, contentType, size, expires) });
+      return { url: `${baseUrl}/${key}?${qs}`, method: 'PUT', headers: { 'Content-Type': contentType } };
+    }
+  };
+}
+const LOCAL_CONTENT_TYPES = { webp: 'image/webp', jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', pdf: 'application/pdf', mp4: 'video/mp4', webm: 'video/webm', mp3: 'audio/mpeg' };
+function localContentType(key) {
+  return LOCAL_CONTENT_TYPES[String(key).split('.').pop().toLowerCase()] || 'application/octet-stream';
+}
+// Local stand-in for a presigned URL: HMAC over what the upload may contain
+function localUploadSignature(key, contentType, size, expires) {
+  return createHmac('sha256', ADMIN_KEY).update(`${key}\n${contentType}\n${size}\n${expires}`).digest('base64url');
+}
+
+// r2 unless configured otherwise, except in local development without R2 settings. A driver that
+// can't work throws here, at startup, rather than on the first upload: on Vercel the filesystem is
+// read-only and wiped between invocations, so the local driver would only lose files.
+function storageDriver() {
+  const production = !!process.env.VERCEL || process.env.NODE_ENV === 'production';
+  const driver = STORAGE_DRIVER || (R2_BUCKET || production ? 'r2' : 'local');
+  if (driver === 'r2') {
+    const settings = { R2_BUCKET, R2_ENDPOINT, R2_ACCESS_KEY_ID, R2_SECRET_ACCESS_KEY, R2_PUBLIC_BASE_URL };
+    const missing = Object.keys(settings).filter(k => !settings[k]);
+    if (missing.length) throw new Error(`Storage driver r2 needs ${missing.join(', ')} (or STORAGE_DRIVER=local outside Vercel)`);
+  } else if (driver === 'local') {
+    if (process.env.VERCEL) throw new Error('Storage driver local cannot work on Vercel (read-only, ephemeral filesystem); configure R2');
+    // URLs are built from LOCAL_STORAGE_URL but only LOCAL_FILES_PATH is served
+    const urlPath = new URL(LOCAL_STORAGE_URL, 'http://localhost').pathname.replace(/\/+$/, '');
+    if (urlPath !== LOCAL_FILES_PATH) throw new Error(`LOCAL_STORAGE_URL must point at ${LOCAL_FILES_PATH} (got "${LOCAL_STORAGE_URL}")`);
+    mkdirSync(LOCAL_STORAGE_ROOT, { recursive: true });
+    accessSync(LOCAL_STORAGE_ROOT, fsConstants.W_OK);
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (use r2 or local)`);
+  }
+  return driver;
+}
+const storage = storageDriver() === 'local' ? createLocalStorage() : createR2Storage();
 
+
+function isAdmin(req) {
+  return req.header('x-admin-key') === ADMIN_KEY;
+}
 function adminOnly(req, res, next) {
-  const key = req.header('x-admin-key');
-  if (key !== ADMIN_KEY) return res.status(401).json({ error: 'Unauthorized' });
+  if (!isAdmin(req)) return res.status(401).json({ error: 'Unauthorized' });
   next();
 }
+// `details` is merged into the JSON error body by the route handlers
+function httpError(status, message, details = undefined) {
+  const err = new Error(message);
+  err.status = status;
+  err.details = details;
+  return err;
+}
 function toSlug(str) {
   return String(str || 'noticia')
     .toLowerCase()
@@ -75,22 +483,487 @@ function toSlug(str) {
     .replace(/[^a-z0-9]+/g, '-')
     .replace(/(^-|-$)/g, '');
 }
+// toSlug() for client input: punctuation-only values would otherwise save an empty slug
+function requireSlug(value, field = 'slug') {
+  const slug = toSlug(value);
+  if (!slug) throw httpError(400, `${field} must contain at least one letter or digit`);
+  return slug;
+}
+// Only include the _id branch for valid ObjectIds, otherwise Mongoose throws a CastError on slugs.
+// Translated slugs resolve to the same article.
+function idOrSlugFilter(idOrSlug) {
+  const value = String(idOrSlug);
+  const or = [{ slug: value }, { 'translations.slug': value }];
+  if (mongoose.isObjectIdOrHexString(value)) or.unshift({ _id: value });
+  return { $or: or };
+}
+// Slugs are unique across the base language, every translation and other articles' old slugs
+async function slugTaken(slug, exceptId = null) {
+  const where = { $or: [{ slug }, { 'translations.slug': slug }, { 'previousSlugs.slug': slug }] };
+  if (exceptId) where._id = { $ne: exceptId };
+  return !!(await News.exists(where));
+}
+function escapeRegex(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 function s3KeyFor(kind='news', filename='cover.webp') {
   const d = new Date();
   const year = d.getUTCFullYear();
   const month = String(d.getUTCMonth()+1).padStart(2,'0');
   return `${kind}/${year}/${month}/${randomUUID()}-${filename}`;   // ✅
 }
-function buildPublicUrl(key) {
-  // You’re using Option A: R2_PUBLIC_BASE_URL already includes /<bucket>
-  return `${R2_PUBLIC_BASE_URL.replace(/\/+$/,'')}/${key}`;
+// Public visibility: published (or legacy docs without a status) and publish time reached.
+// Scheduled items go live on their own once publishAt has passed, no job needed.
+function publicNewsFilter(now = new Date()) {
+  return {
+    status: { $in: ['published', 'scheduled', null] },
+    publishAt: { $not: { $gt: now } }
+  };
+}
+// Admins may ask for ?status=draft|scheduled|published|archived|all; everyone else gets the public view
+function newsVisibilityFilter(req) {
+  const { status } = req.query;
+  if (!status || !isAdmin(req)) return publicNewsFilter();
+  if (status === 'all') return {};
+  if (!NEWS_STATUSES.includes(status)) throw httpError(400, `status must be one of: all, ${NEWS_STATUSES.join(', ')}`);
+  return { status };
+}
+// Resolves status/publishAt from a create/update body (current = existing doc on update)
+function resolvePublishState(body, current = null) {
+  let status = body.status !== undefined ? body.status : current?.status;
+  let publishAt = current?.publishAt || null;
+  if (body.publishAt !== undefined) {
+    publishAt = body.publishAt ? new Date(body.publishAt) : null;
+    if (publishAt && isNaN(publishAt)) throw httpError(400, 'publishAt must be a valid date');
+  }
+  if (status !== undefined && status !== null && !NEWS_STATUSES.includes(status)) {
+    throw httpError(400, `status must be one of: ${NEWS_STATUSES.join(', ')}`);
+  }
+  if (!status) status = publishAt && publishAt > new Date() ? 'scheduled' : 'published';
+  if (status === 'scheduled' && !publishAt) throw httpError(400, 'publishAt is required for scheduled items');
+  // an explicit "publish" without a date means now, even if the item was scheduled for later
+  if (status === 'published' && (!publishAt || (body.status === 'published' && body.publishAt === undefined && publishAt > new Date()))) {
+    publishAt = new Date();
+  }
+  return { status, publishAt };
+}
+// Who is editing: the admin key is shared, so the client names the person in x-admin-user
+function adminActor(req) {
+  return String(req.header('x-admin-user') || 'admin').trim().slice(0, 100) || 'admin';
+}
+function revisionSnapshot(doc) {
+  const src = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  const snap = {};
+  for (const f of REVISION_FIELDS) snap[f] = src[f] === undefined ? null : src[f];
+  return snap;
+}
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+function diffSnapshots(from, to) {
+  return REVISION_FIELDS
+    .filter(f => !sameValue(from[f], to[f]))
+    .map(f => ({ field: f, from: from[f] ?? null, to: to[f] ?? null }));
+}
+// Stores the current state of `doc` as the next revision; skipped when nothing changed
+async function recordRevision(doc, { action = 'update', editedBy = 'admin', restoredFrom } = {}) {
+  const snapshot = revisionSnapshot(doc);
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const last = await NewsRevision.findOne({ news: doc._id }).sort({ rev: -1 }).lean();
+    const changes = last ? diffSnapshots(last.snapshot, snapshot).map(c => c.field) : REVISION_FIELDS.slice();
+    if (last && !changes.length && action === 'update') return last;
+    try {
+      return await NewsRevision.create({
+        news: doc._id, rev: (last?.rev || 0) + 1, action, editedBy, restoredFrom, changes, snapshot
+      });
+    } catch (e) {
+      if (e.code !== 11000) throw e; // concurrent edit took this rev number, retry
+    }
+  }
+  throw new Error('Could not record revision');
+}
+// Articles created before revisions existed get their pre-edit state stored once
+async function ensureBaselineRevision(doc) {
+  if (await NewsRevision.exists({ news: doc._id })) return;
+  await recordRevision(doc, { action: 'baseline', editedBy: 'unknown' });
+}
+// ---- Absolute links + HTTP validators (feeds, sitemap)
+function siteBase(req) {
+  return (SITE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+function apiBase(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+// non-default locales live under /<locale>, e.g. /en/noticias/<slug>
+function articleUrl(base, item) {
+  const prefix = item.locale && item.locale !== DEFAULT_LOCALE ? `/${item.locale}` : '';
+  return `${base}${prefix}${NEWS_PATH}/${encodeURIComponent(item.slug)}`;
+}
+function categoryUrl(base, name) {
+  return `${base}${NEWS_PATH}/categoria/${encodeURIComponent(name)}`;
+}
+function tagUrl(base, name) {
+  return `${base}${NEWS_PATH}/tag/${encodeURIComponent(name)}`;
+}
+function absoluteUrl(base, url) {
+  if (!url) return '';
+  return /^https?:\/\//i.test(url) ? url : `${base}/${String(url).replace(/^\/+/, '')}`;
+}
+function etagFor(...parts) {
+  return `"${createHash('sha1').update(JSON.stringify(parts)).digest('base64url')}"`;
+}
+// Sets ETag/Last-Modified and answers 304 when the client's copy is current (returns true if sent)
+function notModified(req, res, { etag, lastModified }) {
+  if (etag) res.set('ETag', etag);
+  if (lastModified) res.set('Last-Modified', new Date(lastModified).toUTCString());
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
+// Keeps only the known SEO keys; URLs must be absolute http(s)
+function pickSeo(input) {
+  if (input == null) return undefined;
+  if (typeof input !== 'object' || Array.isArray(input)) throw httpError(400, 'seo must be an object');
+  const seo = {};
+  for (const k of ['metaTitle', 'metaDescription', 'canonicalUrl', 'ogImage']) {
+    const v = input[k] == null ? '' : String(input[k]).trim();
+    if (!v) continue;
+    if ((k === 'canonicalUrl' || k === 'ogImage') && !/^https?:\/\/\S+$/i.test(v)) {
+      throw httpError(400, `seo.${k} must be an absolute http(s) URL`);
+    }
+    seo[k] = v;
+  }
+  return seo;
+}
+// ---- Content pipeline: Markdown/HTML in, allowlisted HTML + derived data out
+const CONTENT_SANITIZE = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'pre', 'code',
+    'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'mark', 'small', 'span',
+    'ul', 'ol', 'li', 'a', 'img', 'figure', 'figcaption',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption', 'iframe'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height', 'loading', 'srcset', 'sizes'],
+    iframe: ['src', 'width', 'height', 'allow', 'allowfullscreen', 'frameborder', 'title'],
+    th: ['colspan', 'rowspan', 'scope'],
+    td: ['colspan', 'rowspan'],
+    ol: ['start'],
+    code: ['class']
+  },
+  allowedClasses: { code: [/^language-[\w-]+$/] },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+  allowedIframeHostnames: ['www.youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com'],
+  transformTags: {
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.target === '_blank' ? { ...attribs, rel: 'noopener noreferrer' } : attribs
+    })
+  }
+};
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 200;
+// Gives h1–h4 stable ids (from their text) and returns them as a table of contents
+function addHeadingIds(html) {
+  const used = new Set();
+  const toc = [];
+  const out = html.replace(/<h([1-4])>([\s\S]*?)<\/h\1>/g, (_m, level, inner) => {
+    const text = htmlToText(inner);
+    let id = toSlug(text) || 'secao';
+    for (let n = 2; used.has(id); n++) id = `${toSlug(text) || 'secao'}-${n}`;
+    used.add(id);
+    toc.push({ id, text, level: Number(level) });
+    return `<h${level} id="${id}">${inner}</h${level}>`;
+  });
+  return { html: out, toc };
+}
+function renderContent(source, format = 'html') {
+  const raw = format === 'markdown' ? marked.parse(String(source || ''), { gfm: true }) : String(source || '');
+  const { html, toc } = addHeadingIds(sanitizeHtml(raw, CONTENT_SANITIZE).trim());
+  const words = htmlToText(html).split(/\s+/).filter(Boolean).length;
+  return { content: html, toc, wordCount: words, readingTime: words ? Math.max(1, Math.ceil(words / WORDS_PER_MINUTE)) : 0 };
+}
+// Built from the paragraphs (headings and captions make poor summaries), cut on a word boundary
+function autoExcerpt(html, max = EXCERPT_LENGTH) {
+  const paragraphs = String(html || '').match(/<p>[\s\S]*?<\/p>/g);
+  const text = htmlToText(paragraphs ? paragraphs.join(' ') : html);
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  return cut.slice(0, cut.lastIndexOf(' ') > max / 2 ? cut.lastIndexOf(' ') : max).replace(/[\s.,;:!?-]+$/, '') + '…';
+}
+// Runs the pipeline for a create/update body (current = stored article or translation, if any).
+// Returns only the fields to write; an empty excerpt is generated and regenerated with the content.
+function contentFields(body, current = null) {
+  const fields = {};
+  const format = body.contentFormat ?? current?.contentFormat ?? 'html';
+  if (!CONTENT_FORMATS.includes(format)) throw httpError(400, `contentFormat must be one of: ${CONTENT_FORMATS.join(', ')}`);
+  const contentChanged = !current || body.content !== undefined || (body.contentFormat !== undefined && body.contentFormat !== current.contentFormat);
+  if (contentChanged) {
+    const source = body.content !== undefined ? String(body.content ?? '') : (current?.contentSource ?? current?.content ?? '');
+    Object.assign(fields, { contentFormat: format, contentSource: source }, renderContent(source, format));
+  }
+  const excerpt = body.excerpt == null ? '' : htmlToText(body.excerpt);
+  if (excerpt) {
+    Object.assign(fields, { excerpt, excerptGenerated: false });
+  } else if (body.excerpt !== undefined || !current || (contentChanged && (current.excerptGenerated || !current.excerpt))) {
+    Object.assign(fields, { excerpt: autoExcerpt(fields.content ?? current?.content ?? ''), excerptGenerated: true });
+  }
+  return fields;
+}
+// Clients can't write these directly; they come out of contentFields() and rememberOldSlugs()
+const DERIVED_NEWS_FIELDS = ['contentSource', 'toc', 'wordCount', 'readingTime', 'excerptGenerated', 'previousSlugs', 'commentCount'];
+
+// ---- Taxonomy helpers
+function taxonomyField(kind) {
+  return Object.keys(TAXONOMIES).find(f => TAXONOMIES[f] === kind);
+}
+async function findTerm(kind, value) {
+  const slug = toSlug(value);
+  return (await Term.findOne({ kind, slug }).lean()) || Term.findOne({ kind, aliases: slug }).lean();
+}
+// Query condition for ?category= / ?tag=; accepts a slug, alias or display name.
+// Values that aren't managed terms yet (before the taxonomy migration) match case-insensitively.
+async function termFilter(kind, value) {
+  const term = await findTerm(kind, value);
+  if (term) return { $in: [term.slug, ...term.aliases] };
+  return { $in: [ new RegExp(`^${escapeRegex(value)}$`, 'i') ] };
+}
+// Maps free-text input (names, slugs, old aliases) to term slugs. Unknown terms are rejected with 422,
+// or created on the fly when `create` is set (?createTerms=1, imports).
+async function resolveTerms(kind, values, { create = false } = {}) {
+  if (values == null) return [];
+  if (!Array.isArray(values)) throw httpError(400, `${taxonomyField(kind)} must be an array`);
+  const inputs = values.map(v => String(v ?? '').trim()).filter(Boolean);
+  const wanted = inputs.map(v => toSlug(v));
+  if (!wanted.length) return [];
+  const terms = await Term.find({ kind, $or: [{ slug: { $in: wanted } }, { aliases: { $in: wanted } }] }).lean();
+  const slugs = [];
+  const unknown = [];
+  for (const [i, w] of wanted.entries()) {
+    let term = terms.find(t => t.slug === w) || terms.find(t => t.aliases.includes(w));
+    if (!term && create) {
+      term = (await Term.findOneAndUpdate(
+        { kind, slug: w },
+        { $setOnInsert: { kind, slug: w, name: inputs[i] } },
+        { upsert: true, new: true, lean: true }
+      ));
+      terms.push(term);
+    }
+    if (!term) unknown.push(inputs[i]);
+    else if (!slugs.includes(term.slug)) slugs.push(term.slug);
+  }
+  if (unknown.length) {
+    const field = taxonomyField(kind);
+    throw httpError(422, `Unknown ${field}: ${unknown.join(', ')}`, { unknown: { [field]: unknown } });
+  }
+  return slugs;
 }
-function extractKeyFromPublicUrl(publicUrl) {
-  const base = R2_PUBLIC_BASE_URL.replace(/\/+$/,'');
-  let rest = String(publicUrl).replace(base, '').replace(/^\/+/, '');
-  const bucketPath = `/${R2_BUCKET}/`;
-  if (rest.startsWith(bucketPath)) rest = rest.slice(bucketPath.length);
-  return rest;
+// Replaces (or removes, when `to` is null) a term slug in every article, keeping order and no duplicates
+async function rewriteTermInArticles(field, from, to) {
+  const mapped = { $map: { input: `$${field}`, as: 'v', in: { $cond: [{ $eq: ['$$v', from] }, to, '$$v'] } } };
+  const deduped = { $reduce: {
+    input: mapped, initialValue: [],
+    in: { $cond: [{ $or: [{ $eq: ['$$this', null] }, { $in: ['$$this', '$$value'] }] }, '$$value', { $concatArrays: ['$$value', ['$$this']] }] }
+  } };
+  const r = await News.updateMany({ [field]: from }, [{ $set: { [field]: deduped, updatedAt: '$$NOW' } }]);
+  return r.modifiedCount;
+}
+// Categories and tags of a create/update body, when present
+async function taxonomyFields(req, body) {
+  const create = ['1', 'true'].includes(String(req.query.createTerms));
+  const fields = {};
+  for (const [field, kind] of Object.entries(TAXONOMIES)) {
+    if (body[field] !== undefined) fields[field] = await resolveTerms(kind, body[field], { create });
+  }
+  return fields;
+}
+
+// ---- Author helpers
+// Social links must be absolute http(s) URLs; unknown networks are dropped
+function pickSocial(input) {
+  if (input == null) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) throw httpError(400, 'social must be an object');
+  const social = {};
+  for (const n of AUTHOR_SOCIAL_NETWORKS) {
+    const v = input[n] == null ? '' : String(input[n]).trim();
+    if (!v) continue;
+    if (!/^https?:\/\/\S+$/i.test(v)) throw httpError(400, `social.${n} must be an absolute http(s) URL`);
+    social[n] = v;
+  }
+  return social;
+}
+async function defaultAuthor() {
+  return Author.findOneAndUpdate(
+    { slug: toSlug(DEFAULT_AUTHOR) },
+    { $setOnInsert: { name: DEFAULT_AUTHOR, slug: toSlug(DEFAULT_AUTHOR) } },
+    { upsert: true, new: true, lean: true }
+  );
+}
+// Accepts an author id, slug or name; unknown authors are rejected so spellings can't drift
+async function resolveAuthor(input) {
+  const value = input == null ? '' : String(input).trim();
+  if (!value) return defaultAuthor();
+  const author = mongoose.isObjectIdOrHexString(value)
+    ? await Author.findById(value).lean()
+    : await Author.findOne({ slug: toSlug(value) }).lean();
+  if (!author) throw httpError(422, `Unknown author: ${value}`, { unknown: { author: value } });
+  return author;
+}
+// Author fields of a create/update body (authorId wins over author); null when neither is present
+async function authorFields(body, { isNew = false } = {}) {
+  if (body.authorId === undefined && body.author === undefined && !isNew) return null;
+  const author = await resolveAuthor(body.authorId ?? body.author);
+  return { authorId: author._id, author: author.name };
+}
+
+// ---- Slug history
+// Call before saving with the state from before the edit (doc.toObject()): slugs the article lost are
+// kept for redirects, and slugs it takes back leave the history.
+function rememberOldSlugs(doc, before) {
+  const current = new Set([doc.slug, ...(doc.translations || []).map(t => t.slug)]);
+  const history = (before.previousSlugs || []).filter(p => !current.has(p.slug));
+  const lost = [{ slug: before.slug, locale: before.locale || DEFAULT_LOCALE }, ...(before.translations || []).map(t => ({ slug: t.slug, locale: t.locale }))]
+    .filter(p => p.slug && !current.has(p.slug) && !history.some(h => h.slug === p.slug));
+  if (!lost.length && history.length === (before.previousSlugs || []).length) return;
+  doc.previousSlugs = [...history, ...lost.map(p => ({ ...p, changedAt: new Date() }))];
+}
+// Where an old slug points now: the article's current slug in the same locale, else its base slug
+function redirectTarget(item, oldSlug) {
+  const entry = (item.previousSlugs || []).find(p => p.slug === oldSlug);
+  const translation = entry && entry.locale !== (item.locale || DEFAULT_LOCALE) && (item.translations || []).find(t => t.locale === entry.locale);
+  return translation ? { slug: translation.slug, locale: translation.locale } : { slug: item.slug, locale: item.locale || DEFAULT_LOCALE };
+}
+
+// ---- Locales
+// ?lang= wins, then the locale implied by the URL (a translated slug), then Accept-Language
+function resolveLocale(req, preferred = null) {
+  const lang = String(req.query.lang || '').toLowerCase().slice(0, 2);
+  if (SUPPORTED_LOCALES.includes(lang)) return lang;
+  if (preferred) return preferred;
+  return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+}
+function setLocaleHeaders(res, locale) {
+  res.set('Content-Language', locale);
+  res.vary('Accept-Language');
+}
+// Accepts [{ locale, slug, title, excerpt, content, seo }] or { en: { ... } }
+function normalizeTranslations(input, baseLocale = DEFAULT_LOCALE) {
+  if (input == null) return [];
+  const list = Array.isArray(input) ? input : Object.entries(input).map(([locale, t]) => ({ ...t, locale }));
+  const seen = new Set();
+  return list.map(t => {
+    const locale = String(t?.locale || '').toLowerCase();
+    if (!SUPPORTED_LOCALES.includes(locale)) throw httpError(400, `translation locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
+    if (locale === baseLocale) throw httpError(400, `"${locale}" is the article's own locale, edit the main fields instead`);
+    if (seen.has(locale)) throw httpError(400, `Duplicate translation for "${locale}"`);
+    seen.add(locale);
+    if (!t.title) throw httpError(400, `translations.${locale}.title is required`);
+    return {
+      locale,
+      slug: requireSlug(t.slug || t.title, `translations.${locale}.slug`),
+      title: String(t.title),
+      ...contentFields({ content: t.content ?? '', contentFormat: t.contentFormat, excerpt: t.excerpt }),
+      seo: pickSeo(t.seo)
+    };
+  });
+}
+// Every slug of the article (base + translations) must be free and distinct
+async function assertSlugsAvailable(slug, translations, exceptId = null) {
+  const slugs = [slug, ...translations.map(t => t.slug)];
+  if (new Set(slugs).size !== slugs.length) throw httpError(409, 'Each translation needs its own slug');
+  for (const s of slugs) {
+    if (await slugTaken(s, exceptId)) throw httpError(409, `Slug already exists: ${s}`);
+  }
+}
+// Public shape of an article in one locale; falls back to the base language when untranslated
+// Editor-only fields: the raw source (unsanitized, and in the base language even when the response
+// is a translation), pipeline flags and old slugs. Public responses leave them out.
+const INTERNAL_NEWS_FIELDS = ['contentSource', 'contentFormat', 'excerptGenerated', 'previousSlugs', '__v'];
+function localizeNews(item, locale, { keepTranslations = false, admin = keepTranslations } = {}) {
+  const { translations = [], ...rest } = item;
+  if (!admin) for (const f of INTERNAL_NEWS_FIELDS) delete rest[f];
+  const baseLocale = item.locale || DEFAULT_LOCALE;
+  const alternates = [{ locale: baseLocale, slug: item.slug }, ...translations.map(t => ({ locale: t.locale, slug: t.slug }))];
+  const t = locale !== baseLocale && translations.find(tr => tr.locale === locale);
+  // only the share image carries over; titles, descriptions and canonicals are per language
+  const out = t
+    ? {
+      ...rest, locale: t.locale, slug: t.slug, title: t.title, excerpt: t.excerpt, content: t.content,
+      toc: t.toc, wordCount: t.wordCount, readingTime: t.readingTime, seo: { ogImage: rest.seo?.ogImage, ...t.seo }
+    }
+    : { ...rest, locale: baseLocale };
+  if (rest.content === undefined) delete out.content; // list queries that excluded content
+  out.availableLocales = alternates.map(a => a.locale);
+  out.alternates = alternates;
+  if (keepTranslations) out.translations = translations;
+  return out;
+}
+// Newest change among articles; scheduled items go live without touching updatedAt, so publishAt counts too
+function newestChange(items) {
+  return items.reduce((max, i) => Math.max(max, +new Date(i.updatedAt || 0), +new Date(i.publishAt || 0)), 0) || undefined;
+}
+// Public JSON reads: ETag from the payload, optional Last-Modified, 304 on a match, edge-cacheable.
+// Admin responses (x-admin-key) can include drafts, so they are never stored by shared caches.
+function sendCachedJson(req, res, payload, { lastModified, maxAge = 60, sMaxAge = 300 } = {}) {
+  res.vary('x-admin-key');
+  if (isAdmin(req)) {
+    res.set('Cache-Control', 'private, no-store');
+    return res.json(payload);
+  }
+  res.set('Cache-Control', `public, max-age=${maxAge}, s-maxage=${sMaxAge}, stale-while-revalidate=${sMaxAge * 2}`);
+  const body = JSON.stringify(payload);
+  if (notModified(req, res, { etag: etagFor(body), lastModified })) return;
+  res.type('application/json').send(body);
+}
+// Opaque cursor over the (date, _id) sort of the public lists
+function encodeCursor(item) {
+  return Buffer.from(JSON.stringify([new Date(item.date).toISOString(), String(item._id)])).toString('base64url');
+}
+function decodeCursor(cursor) {
+  try {
+    const [date, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const d = new Date(date);
+    if (isNaN(d) || !mongoose.isObjectIdOrHexString(id)) throw new Error('bad cursor');
+    return { date: d, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw httpError(400, 'Invalid cursor');
+  }
+}
+// Items after (older than) or before (newer than) a cursor position in { date: -1, _id: -1 } order
+function cursorCondition({ date, id }, direction) {
+  const op = direction === 'after' ? '$lt' : '$gt';
+  return { $or: [{ date: { [op]: date } }, { date, _id: { [op]: id } }] };
+}
+// ?cursor= (next page) or ?before= (previous page); pages don't shift when new articles are posted
+async function cursorPage(where, { cursor, before, limit }) {
+  const withCond = (cond) => ({ ...where, $and: [...(where.$and || []), cond] });
+  const backwards = !!before;
+  const position = before ? decodeCursor(before) : cursor ? decodeCursor(cursor) : null;
+  const query = position ? withCond(cursorCondition(position, backwards ? 'before' : 'after')) : where;
+  const order = backwards ? 1 : -1;
+  const rows = await News.find(query).sort({ date: order, _id: order }).limit(limit + 1).lean();
+  const more = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (backwards) items.reverse();
+  const first = items[0];
+  const last = items[items.length - 1];
+  const hasNext = backwards ? !!last && !!(await News.exists(withCond(cursorCondition(last, 'after')))) : more;
+  const hasPrev = backwards ? more : !!first && !!position && !!(await News.exists(withCond(cursorCondition(first, 'before'))));
+  return {
+    items,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      hasNext,
+      hasPrev,
+      nextCursor: hasNext ? encodeCursor(last) : null,
+      prevCursor: hasPrev ? encodeCursor(first) : null
+    }
+  };
 }
 
 // ---- Health endpoints (help debug quickly)
@@ -238,159 +1111,1384 @@ app.get('/api/db-health', async (_req,res) => {
   catch (e) { return res.status(500).json({ ok: false, error: String(e) }); }
 });
 
-// ---- Upload (no DB needed)
-app.post('/api/upload', adminOnly, async (req, res) => {
+// ---- Images: every upload is re-encoded to WebP in a few widths (re-encoding also drops EXIF/GPS)
+const IMAGE_VARIANTS = { thumb: 320, card: 768, full: 1600 };
+const AVATAR_VARIANTS = { thumb: 96, card: 256, full: 512 };
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp'];
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 15 * 1024 * 1024, files: 1 }
+});
+// multipart field `file`; multer errors become JSON instead of the default HTML page
+function acceptImageUpload(req, res, next) {
+  imageUpload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message });
+  });
+}
+// Image bytes from a multipart file or a JSON { dataUrl } (data:image/jpeg|png|webp;base64,...)
+function uploadedImage(req) {
+  if (req.file) return { buffer: req.file.buffer, filename: req.body?.filename || req.file.originalname };
+  const { dataUrl, filename } = req.body || {};
+  const match = /^data:image\/(webp|jpeg|jpg|png);base64,/.exec(String(dataUrl || ''));
+  if (!match) throw httpError(400, 'Provide an image file (multipart field "file") or a data:image/webp|jpeg|png;base64 dataUrl');
+  return { buffer: Buffer.from(dataUrl.slice(match[0].length), 'base64'), filename };
+}
+// Resized WebP buffers (never upscaled) plus a tiny blurred placeholder
+async function renderImageVariants(buffer, variants = IMAGE_VARIANTS) {
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch {
+    throw httpError(400, 'Unreadable image');
+  }
+  if (!IMAGE_FORMATS.includes(meta.format)) throw httpError(415, `Unsupported image type, use one of: ${IMAGE_FORMATS.join(', ')}`);
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  const oriented = () => sharp(buffer).rotate();
+  const rendered = await Promise.all(Object.entries(variants).map(async ([name, width]) => {
+    const { data, info } = await oriented()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    return { name, buffer: data, width: info.width, height: info.height };
+  }));
+  const blur = await oriented().resize({ width: 16 }).blur().webp({ quality: 40 }).toBuffer();
+  return { variants: rendered, placeholder: blur };
+}
+// Variant keys share one s3KeyFor() stem: <kind>/<yyyy>/<mm>/<uuid>-<name>-<variant>.webp,
+// the blurred placeholder included (<stem>-placeholder.webp)
+function imageVariantKey(stem, variant) {
+  return `${stem}-${variant}.webp`;
+}
+// All stored keys of an uploaded image, from the key of any of its variants (legacy single keys as is)
+function imageVariantKeys(key, variants = IMAGE_VARIANTS) {
+  const names = [...Object.keys(variants), 'placeholder'];
+  const m = new RegExp(`^(.+)-(${names.join('|')})\\.webp$`).exec(String(key));
+  return m ? names.map(v => imageVariantKey(m[1], v)) : [key];
+}
+// Stores every variant and returns a srcset-ready manifest; `url`/`key` point at the largest one
+async function storeImage(buffer, filename, kind = 'news', variantSizes = IMAGE_VARIANTS) {
+  const { variants, placeholder } = await renderImageVariants(buffer, variantSizes);
+  const safeName = String(filename || 'image').toLowerCase().replace(/\.[^.]+$/, '').replace(/[^a-z0-9\-_]+/g, '-') || 'image';
+  const stem = s3KeyFor(kind, safeName);
+  const stored = await Promise.all(variants.map(async (v) => {
+    const key = imageVariantKey(stem, v.name);
+    await storage.put(key, v.buffer, { contentType: 'image/webp' });
+    return { name: v.name, url: storage.publicUrl(key), key, width: v.width, height: v.height, bytes: v.buffer.length };
+  }));
+  const placeholderKey = imageVariantKey(stem, 'placeholder');
+  await storage.put(placeholderKey, placeholder, { contentType: 'image/webp' });
+  const largest = stored[stored.length - 1];
+  // small originals give variants of the same width; srcset needs distinct descriptors
+  const srcset = stored
+    .filter((v, i) => stored.findIndex(o => o.width === v.width) === i)
+    .map(v => `${v.url} ${v.width}w`)
+    .join(', ');
+  return {
+    url: largest.url,
+    key: largest.key,
+    width: largest.width,
+    height: largest.height,
+    placeholder: storage.publicUrl(placeholderKey),
+    placeholderKey,
+    srcset,
+    sizes: '(max-width: 768px) 100vw, 768px',
+    variants: stored
+  };
+}
+// ---- Media tracking
+// Public URLs of our storage found in any text (img src, srcset, links, markdown)
+function mediaUrlsIn(text) {
+  const base = storage.baseUrl;
+  if (!base || !text) return [];
+  return String(text).match(new RegExp(`${escapeRegex(base)}/[^\\s"'<>)]+`, 'g')) || [];
+}
+function newsMediaUrls(doc) {
+  const parts = [doc.cover, doc.seo?.ogImage, doc.content, ...(doc.translations || []).flatMap(t => [t.content, t.seo?.ogImage])];
+  return [...new Set(parts.flatMap(mediaUrlsIn))];
+}
+// Rebuilds the usage entries of one article/author; failures are logged, the save itself already happened
+async function syncMediaUsage(type, doc, { removed = false } = {}) {
   try {
-    const { dataUrl, filename } = req.body || {};
-    if (!dataUrl || !String(dataUrl).startsWith('data:image/webp;base64,')) {
-      return res.status(400).json({ error: 'Provide a WEBP dataUrl' });
+    const urls = removed ? [] : type === 'news' ? newsMediaUrls(doc) : mediaUrlsIn(doc.avatar);
+    await Media.updateMany({ usage: { $elemMatch: { type, ref: doc._id } } }, { $pull: { usage: { type, ref: doc._id } } });
+    if (urls.length) {
+      await Media.updateMany({ 'variants.url': { $in: urls } }, { $push: { usage: { type, ref: doc._id, slug: doc.slug } } });
     }
-    const base64 = dataUrl.split(',')[1];
-    const buffer = Buffer.from(base64, 'base64');
-    const safeName = (String(filename || 'cover.webp').toLowerCase().replace(/[^a-z0-9.\-_]+/g, '-') || 'cover.webp');
-    const key = s3KeyFor('news', safeName.endsWith('.webp') ? safeName : (safeName.replace(/\.[^.]+$/, '') + '.webp'));
-
-    await s3.send(new PutObjectCommand({
-      Bucket: R2_BUCKET,
-      Key: key,
-      Body: buffer,
-      ContentType: 'image/webp',
-      CacheControl: 'public, max-age=31536000, immutable'
-    }));
+  } catch (e) {
+    console.warn('[media usage] non-fatal', e);
+  }
+}
+async function recordMedia(stored, { kind, filename, alt, uploadedBy }) {
+  return Media.create({
+    key: stored.key,
+    url: stored.url,
+    kind,
+    filename: filename || '',
+    bytes: stored.variants.reduce((n, v) => n + v.bytes, 0),  // placeholder not counted, it's a few hundred bytes
+    width: stored.width,
+    height: stored.height,
+    placeholder: stored.placeholder,
+    variants: stored.variants,
+    alt: String(alt || '').trim(),
+    uploadedBy
+  });
+}
+async function deleteMediaObjects(media) {
+  const placeholderKey = media.placeholder ? storage.keyFromUrl(media.placeholder) : null;
+  await storage.delete([...media.variants.map(v => v.key), placeholderKey].filter(Boolean));
+  await Media.deleteOne({ _id: media._id });
+}
+// Deletes images the owner stopped using when nothing else uses them. Objects uploaded before the
+// media library have no usage data and are left to the orphan sweep.
+async function releaseImages(urls, owner, label) {
+  for (const url of new Set(urls.filter(Boolean))) {
+    try {
+      const media = await Media.findOne({ 'variants.url': url }).lean();
+      if (!media) continue;
+      const others = media.usage.filter(u => !(u.type === owner.type && String(u.ref) === String(owner.ref)));
+      if (!others.length) await deleteMediaObjects(media);
+    } catch (e) {
+      console.warn(`[delete ${label}] non-fatal`, e);
+    }
+  }
+}
 
-    return res.json({ url: buildPublicUrl(key), key });
+// multipart `file` (jpeg/png/webp) or JSON { dataUrl, filename }, plus an optional `alt`
+app.post('/api/upload', adminOnly, acceptImageUpload, async (req, res) => {
+  try {
+    await ensureMongo();
+    const { buffer, filename } = uploadedImage(req);
+    const stored = await storeImage(buffer, filename, 'news');
+    const media = await recordMedia(stored, { kind: 'news', filename, alt: req.body?.alt, uploadedBy: adminActor(req) });
+    return res.json({ ...stored, mediaId: media._id, alt: media.alt });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error('[upload] error', e);
     return res.status(500).json({ error: 'Upload failed' });
   }
 });
 
-// ---- CRUD routes (ensure Mongo inside each)
-app.get('/api/news', async (req,res) => {
+// ---- Direct uploads: the browser PUTs straight to R2 with a presigned URL, then calls /complete.
+// Needs a CORS rule on the bucket allowing PUT (Content-Type, Content-Length) from the admin origin.
+const MB = 1024 * 1024;
+const DIRECT_UPLOAD_TYPES = {
+  'application/pdf': { ext: 'pdf', maxBytes: 50 * MB },
+  'image/jpeg': { ext: 'jpg', maxBytes: 40 * MB },
+  'image/png': { ext: 'png', maxBytes: 40 * MB },
+  'image/webp': { ext: 'webp', maxBytes: 40 * MB },
+  'video/mp4': { ext: 'mp4', maxBytes: 500 * MB },
+  'video/webm': { ext: 'webm', maxBytes: 500 * MB },
+  'audio/mpeg': { ext: 'mp3', maxBytes: 100 * MB },
+};
+const PRESIGN_EXPIRES_SECONDS = 10 * 60;
+
+// { filename, contentType, size } -> { uploadUrl, headers, expiresAt, mediaId, key, url }
+app.post('/api/upload/presign', adminOnly, async (req,res) => {
   try {
     await ensureMongo();
-    const { page=1, limit=6, category, tag, q } = req.query;
-    const p = Math.max(1, parseInt(page, 10) || 1);
-    const lim = Math.min(50, Math.max(1, parseInt(limit, 10) || 6));
+    const { filename, contentType, size } = req.body || {};
+    const type = DIRECT_UPLOAD_TYPES[String(contentType || '').toLowerCase()];
+    if (!type) return res.status(415).json({ error: 'Unsupported content type', allowed: Object.keys(DIRECT_UPLOAD_TYPES) });
+    const bytes = Number(size);
+    if (!Number.isInteger(bytes) || bytes <= 0) return res.status(400).json({ error: 'size (bytes) is required' });
+    if (bytes > type.maxBytes) return res.status(413).json({ error: `Too large for ${contentType} (max ${type.maxBytes / MB} MB)` });
+
+    const stem = String(filename || 'file').toLowerCase().replace(/\.[^.]+$/, '').replace(/[^a-z0-9\-_]+/g, '-') || 'file';
+    const key = s3KeyFor('files', `${stem}.${type.ext}`);
+    const expiresAt = new Date(Date.now() + PRESIGN_EXPIRES_SECONDS * 1000);
+    const upload = await storage.presignPut(key, { contentType, size: bytes, expiresIn: PRESIGN_EXPIRES_SECONDS });
+    // pending until /complete; the record expires on its own if the upload never finishes
+    const media = await Media.create({
+      key, url: storage.publicUrl(key), kind: 'files', filename: filename || '', mimeType: contentType, bytes,
+      status: 'pending', expiresAt: new Date(+expiresAt + 60 * 60 * 1000),
+      alt: String(req.body?.alt || '').trim(), uploadedBy: adminActor(req)
+    });
+    res.status(201).json({
+      mediaId: media._id,
+      key,
+      url: media.url,
+      uploadUrl: upload.url,
+      method: upload.method,
+      headers: upload.headers,
+      expiresAt
+    });
+  } catch (e) {
+    console.error('[POST /api/upload/presign] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// { mediaId } after the PUT succeeded: checks the object in storage and registers it in the media library
+app.post('/api/upload/complete', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const { mediaId } = req.body || {};
+    if (!mongoose.isObjectIdOrHexString(String(mediaId || ''))) return res.status(400).json({ error: 'mediaId is required' });
+    const media = await Media.findById(mediaId);
+    if (!media) return res.status(404).json({ error: 'Not found' });
+    if (media.status !== 'pending') return res.json(media);
+
+    const head = await storage.head(media.key);
+    if (!head) return res.status(409).json({ error: 'Upload not found in storage yet' });
+    const type = DIRECT_UPLOAD_TYPES[media.mimeType];
+    if (head.contentType !== media.mimeType || !type || head.size > type.maxBytes) {
+      await storage.delete(media.key);
+      await media.deleteOne();
+      return res.status(422).json({ error: 'Uploaded object does not match the presigned type or size' });
+    }
+    media.set({
+      status: 'ready',
+      expiresAt: undefined,
+      bytes: head.size,
+      variants: [{ name: 'original', key: media.key, url: media.url, bytes: head.size }]
+    });
+    if (media.mimeType.startsWith('image/')) {
+      // dimensions for the library; the file itself is served as uploaded
+      try {
+        const meta = await sharp(await storage.read(media.key, { maxBytes: 64 * 1024 })).metadata();
+        media.set({ width: meta.width, height: meta.height });
+      } catch (e) {
+        console.warn('[upload complete] could not read image size', e.message);
+      }
+    }
+    await media.save();
+    res.json(media);
+  } catch (e) {
+    console.error('[POST /api/upload/complete] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// ---- Local storage driver: serves the files and accepts the PUTs its presignPut() URLs point at
+if (storage.driver === 'local') {
+  app.use(LOCAL_FILES_PATH, express.static(LOCAL_STORAGE_ROOT, { immutable: true, maxAge: '1y', index: false }));
+
+  app.put(`${LOCAL_FILES_PATH}/*key`, async (req,res) => {
+    try {
+      const key = [].concat(req.params.key).join('/');
+      const { type, size, expires, signature } = req.query;
+      const expected = localUploadSignature(key, type, size, expires);
+      const valid = typeof signature === 'string' && signature.length === expected.length &&
+        timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+      if (!valid || Number(expires) < Date.now()) return res.status(403).json({ error: 'Invalid or expired upload URL' });
+      if (req.get('content-type') !== type || req.get('content-length') !== size) {
+        return res.status(400).json({ error: 'Content-Type and Content-Length must match the presigned upload' });
+      }
+      const file = storage.fileFor(key);
+      const partial = `${file}.${randomUUID()}.part`;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await pipeline(req, createWriteStream(partial));
+      if ((await fs.stat(partial)).size !== Number(size)) {
+        await fs.rm(partial, { force: true });
+        return res.status(400).json({ error: 'Incomplete upload' });
+      }
+      await fs.rename(partial, file);
+      res.status(200).end();
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      console.error(`[PUT ${LOCAL_FILES_PATH}/*] error`, e);
+      res.status(500).json({ error: 'Failed' });
+    }
+  });
+}
+
+// ---- Media library (admin)
+// ?q= (filename, alt text or key), ?kind=news|authors|files, ?unused=1, ?status=pending for unfinished direct uploads
+app.get('/api/media', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const { q, kind, page = '1', limit = '24' } = req.query;
     const where = {};
-    if (category) where.categories = { $in: [ new RegExp(`^${String(category)}$`, 'i') ] };
-    if (tag) where.tags = { $in: [ new RegExp(`^${String(tag)}$`, 'i') ] };
     if (q) {
-      const s = String(q);
-      where.$or = [
-        { title:   { $regex: s, $options: 'i' } },
-        { excerpt: { $regex: s, $options: 'i' } },
-        { author:  { $regex: s, $options: 'i' } },
-      ];
+      const rx = new RegExp(escapeRegex(q), 'i');
+      where.$or = [{ filename: rx }, { alt: rx }, { key: rx }];
     }
-    const total = await News.countDocuments(where);
-    const data = await News.find(where).sort({ date: -1, createdAt: -1 }).skip((p-1)*lim).limit(lim).lean();
+    if (kind) where.kind = String(kind);
+    where.status = req.query.status === 'pending' ? 'pending' : { $ne: 'pending' };
+    if (['1', 'true'].includes(String(req.query.unused))) where.usage = { $size: 0 };
+    const p = Math.max(1, parseInt(page, 10) || 1);
+    const lim = Math.min(100, Math.max(1, parseInt(limit, 10) || 24));
+    const total = await Media.countDocuments(where);
+    const data = await Media.find(where).select('-placeholder').sort({ createdAt: -1 }).skip((p-1)*lim).limit(lim).lean();
     res.json({ data, pagination: { page: p, limit: lim, total, totalPages: Math.max(1, Math.ceil(total/lim)) } });
   } catch (e) {
-    console.error('[GET /api/news] error', e);
+    console.error('[GET /api/media] error', e);
     res.status(500).json({ error: 'Failed' });
   }
 });
 
-app.get('/api/news/:slug', async (req,res) => {
+app.get('/api/media/:id', adminOnly, async (req,res) => {
   try {
     await ensureMongo();
-    const idOrSlug = req.params.slug;
-    const item = await News.findOne({ $or: [{ slug: idOrSlug }, { _id: idOrSlug }] }).lean();
-    if (!item) return res.status(404).json({ error: 'Not found' });
-    res.json(item);
+    if (!mongoose.isObjectIdOrHexString(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const media = await Media.findById(req.params.id).lean();
+    if (!media) return res.status(404).json({ error: 'Not found' });
+    res.json(media);
   } catch (e) {
-    console.error('[GET /api/news/:slug] error', e);
+    console.error('[GET /api/media/:id] error', e);
     res.status(500).json({ error: 'Failed' });
   }
 });
 
-app.get('/api/recent', async (req,res) => {
+// Only the alt text is editable
+app.put('/api/media/:id', adminOnly, async (req,res) => {
   try {
     await ensureMongo();
-    const limit = Math.min(10, Math.max(1, parseInt(req.query.limit || '3', 10)));
-    const data = await News.find({}).sort({ date: -1, createdAt: -1 }).limit(limit).lean();
-    res.json({ data });
+    if (!mongoose.isObjectIdOrHexString(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const alt = String(req.body?.alt ?? '').trim();
+    if (alt.length > 300) return res.status(400).json({ error: 'alt is too long (max 300)' });
+    const media = await Media.findByIdAndUpdate(req.params.id, { $set: { alt } }, { new: true }).lean();
+    if (!media) return res.status(404).json({ error: 'Not found' });
+    res.json(media);
   } catch (e) {
-    console.error('[GET /api/recent] error', e);
+    console.error('[PUT /api/media/:id] error', e);
     res.status(500).json({ error: 'Failed' });
   }
 });
 
-app.get('/api/categories', async (_req,res) => {
+// Refuses while articles or authors use the image, unless ?force=1
+app.delete('/api/media/:id', adminOnly, async (req,res) => {
   try {
     await ensureMongo();
-    const agg = await News.aggregate([
-      { $unwind: { path: "$categories", preserveNullAndEmptyArrays: false } },
-      { $group: { _id: { $toLower: "$categories" }, count: { $sum: 1 } } },
-      { $project: { name: "$_id", count: 1, _id: 0 } },
-      { $sort: { name: 1 } }
-    ]);
-    res.json({ data: agg });
+    if (!mongoose.isObjectIdOrHexString(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const media = await Media.findById(req.params.id).lean();
+    if (!media) return res.status(404).json({ error: 'Not found' });
+    if (media.usage.length && !['1', 'true'].includes(String(req.query.force))) {
+      return res.status(409).json({ error: 'Media is in use', usage: media.usage });
+    }
+    await deleteMediaObjects(media);
+    res.json({ deleted: media.key, variants: media.variants.length });
   } catch (e) {
-    console.error('[GET /api/categories] error', e);
+    console.error('[DELETE /api/media/:id] error', e);
     res.status(500).json({ error: 'Failed' });
   }
 });
 
-app.get('/api/tags', async (_req,res) => {
+// Every bucket key that is still wanted; one referenced variant keeps its siblings. That is what
+// articles and authors point at, what revisions would bring back on restore, and everything in the
+// media library. Library items go away through DELETE /api/media/:id, or through releaseImages() when
+// the last article or author using them is deleted or replaces them.
+async function referencedMediaKeys() {
+  const keys = new Set();
+  const add = (url) => {
+    const key = storage.keyFromUrl(url);
+    if (key) for (const k of imageVariantKeys(key)) keys.add(k);
+  };
+  const articles = News.find({}).select('cover seo content translations.content translations.seo').lean().cursor();
+  for await (const doc of articles) newsMediaUrls(doc).forEach(add);
+  const revisions = NewsRevision.find({})
+    .select('snapshot.cover snapshot.seo snapshot.content snapshot.translations.content snapshot.translations.seo')
+    .lean().cursor();
+  for await (const rev of revisions) newsMediaUrls(rev.snapshot || {}).forEach(add);
+  for (const a of await Author.find({ avatar: { $nin: ['', null] } }).select('avatar').lean()) mediaUrlsIn(a.avatar).forEach(add);
+  for await (const media of Media.find({}).select('key variants.key placeholder').lean().cursor()) {
+    keys.add(media.key);
+    for (const v of media.variants || []) keys.add(v.key);
+    if (media.placeholder) add(media.placeholder);
+  }
+  return keys;
+}
+// Orphan sweep: objects under the upload prefixes that nothing references (see referencedMediaKeys),
+// e.g. leftovers of failed uploads or of objects stored before the media library. Direct uploads under
+// files/ keep their Media document, so only presigned uploads that were never completed (and whose
+// pending document has expired) are swept there. Reports by default;
+// ?remove=1 deletes them. ?graceHours= (default 24) skips fresh uploads that aren't recorded yet.
+app.post('/api/admin/media/sweep', adminOnly, async (req,res) => {
   try {
     await ensureMongo();
-    const agg = await News.aggregate([
-      { $unwind: { path: "$tags", preserveNullAndEmptyArrays: false } },
-      { $group: { _id: { $toLower: "$tags" }, count: { $sum: 1 } } },
-      { $project: { name: "$_id", count: 1, _id: 0 } },
-      { $sort: { name: 1 } }
-    ]);
-    res.json({ data: agg });
+    const remove = ['1', 'true'].includes(String(req.query.remove));
+    const graceHours = Math.max(0, Number(req.query.graceHours ?? 24) || 0);
+    const cutoff = new Date(Date.now() - graceHours * 3600000);
+    const referenced = await referencedMediaKeys();
+    const objects = (await Promise.all(['news/', 'authors/', 'files/'].map(prefix => storage.list(prefix)))).flat();
+    const orphans = objects
+      .filter(o => !referenced.has(o.key) && new Date(o.lastModified) < cutoff)
+      .map(o => ({ key: o.key, bytes: o.size, lastModified: o.lastModified }));
+
+    if (remove && orphans.length) await storage.delete(orphans.map(o => o.key));
+    res.json({
+      removed: remove ? orphans.length : 0,
+      dryRun: !remove,
+      scanned: objects.length,
+      referenced: referenced.size,
+      orphans: orphans.length,
+      orphanBytes: orphans.reduce((n, o) => n + (o.bytes || 0), 0),
+      items: orphans
+    });
   } catch (e) {
-    console.error('[GET /api/tags] error', e);
+    console.error('[POST /api/admin/media/sweep] error', e);
     res.status(500).json({ error: 'Failed' });
   }
 });
 
-app.post('/api/news', adminOnly, async (req,res) => {
+// ---- CRUD routes (ensure Mongo inside each)
+app.get('/api/news', async (req,res) => {
   try {
     await ensureMongo();
-    const body = req.body || {};
-    const slug = toSlug(body.slug || body.title || randomUUID());   // ✅
-    const item = await News.create({
-      slug,
-      title: body.title || '',
-      excerpt: body.excerpt || '',
-      cover: body.cover || '',
-      date: body.date ? new Date(body.date) : new Date(),
-      author: body.author || 'H&S Angola',
-      categories: Array.isArray(body.categories) ? body.categories : [],
-      tags: Array.isArray(body.tags) ? body.tags : [],
-      content: body.content || ''
+    const { page=1, limit=6, category, tag, q } = req.query;
+    const p = Math.max(1, parseInt(page, 10) || 1);
+    const lim = Math.min(50, Math.max(1, parseInt(limit, 10) || 6));
+    const where = newsVisibilityFilter(req);
+    if (category) where.categories = await termFilter('category', category);
+    if (tag) where.tags = await termFilter('tag', tag);
+    if (q) {
+      // quick filter for admin lists; the site's search page uses /api/search
+      const s = escapeRegex(q);
+      where.$or = [
+        { title:   { $regex: s, $options: 'i' } },
+        { excerpt: { $regex: s, $options: 'i' } },
+        { author:  { $regex: s, $options: 'i' } },
+        { 'translations.title': { $regex: s, $options: 'i' } },
+      ];
+    }
+    const locale = resolveLocale(req);
+    setLocaleHeaders(res, locale);
+    // opt-in cursor mode (?mode=cursor, or any ?cursor= / ?before=): no count, stable pages
+    if (req.query.mode === 'cursor' || req.query.cursor || req.query.before) {
+      const { items, pagination } = await cursorPage(where, { cursor: req.query.cursor, before: req.query.before, limit: lim });
+      const data = items.map(i => localizeNews(i, locale, { keepTranslations: isAdmin(req) }));
+      return sendCachedJson(req, res, { data, pagination }, { lastModified: newestChange(items) });
+    }
+    const total = await News.countDocuments(where);
+    const items = await News.find(where).sort({ date: -1, createdAt: -1 }).skip((p-1)*lim).limit(lim).lean();
+    const data = items.map(i => localizeNews(i, locale, { keepTranslations: isAdmin(req) }));
+    sendCachedJson(req, res, { data, pagination: { page: p, limit: lim, total, totalPages: Math.max(1, Math.ceil(total/lim)) } }, {
+      lastModified: newestChange(items)
     });
-    res.status(201).json(item);
   } catch (e) {
-    if (e.code === 11000) return res.status(409).json({ error: 'Slug already exists' });
-    console.error('[POST /api/news] error', e);
+    if (e.status) return res.status(e.status).json({ error: e.message, ...e.details });
+    console.error('[GET /api/news] error', e);
     res.status(500).json({ error: 'Failed' });
   }
 });
 
-app.put('/api/news/:id', adminOnly, async (req,res) => {
+app.get('/api/news/:slug', async (req,res) => {
   try {
     await ensureMongo();
-    const idOrSlug = req.params.id;
-    const body = req.body || {};
-    const found = await News.findOne({ $or: [{ _id: idOrSlug }, { slug: idOrSlug }] });
-    if (!found) return res.status(404).json({ error: 'Not found' });
-    if (body.slug && body.slug !== found.slug) {
-      const newSlug = toSlug(body.slug);
-      const exists = await News.exists({ slug: newSlug });
-      if (exists) return res.status(409).json({ error: 'Slug already exists' });
-      body.slug = newSlug;
+    const idOrSlug = req.params.slug;
+    // admins can preview drafts, scheduled and archived items
+    const where = isAdmin(req) ? {} : publicNewsFilter();
+    const item = await News.findOne({ ...where, ...idOrSlugFilter(idOrSlug) }).lean();
+    if (!item) {
+      // renamed article: ?redirect=1 answers 301, otherwise the article comes back with a redirect hint
+      const moved = await News.findOne({ ...where, 'previousSlugs.slug': idOrSlug }).lean();
+      if (!moved) return res.status(404).json({ error: 'Not found' });
+      const target = redirectTarget(moved, idOrSlug);
+      if (['1', 'true', '301'].includes(String(req.query.redirect))) {
+        const qs = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+        res.set('Cache-Control', 'public, max-age=3600');
+        return res.redirect(301, `/api/news/${encodeURIComponent(target.slug)}${qs}`);
+      }
+      const locale = resolveLocale(req, target.locale);
+      const localized = localizeNews(moved, locale, { keepTranslations: isAdmin(req) });
+      setLocaleHeaders(res, locale);
+      return sendCachedJson(req, res, {
+        ...localized,
+        head: buildSeoHead(req, localized),
+        redirect: { from: idOrSlug, to: target.slug, status: 301, url: articleUrl(siteBase(req), target) }
+      }, { lastModified: newestChange([moved]) });
     }
-    Object.assign(found, body);
-    await found.save();
-    res.json(found);
+    const viaTranslation = (item.translations || []).find(t => t.slug === idOrSlug);
+    const locale = resolveLocale(req, viaTranslation?.locale || (item.slug === idOrSlug ? item.locale : null));
+    const localized = localizeNews(item, locale, { keepTranslations: isAdmin(req) });
+    localized.authorProfile = item.authorId
+      ? await Author.findById(item.authorId).select('name slug bio avatar social').lean()
+      : null;
+    localized.commentCount = item.commentCount || 0;
+    setLocaleHeaders(res, locale);
+    sendCachedJson(req, res, { ...localized, head: buildSeoHead(req, localized) }, { lastModified: newestChange([item]) });
   } catch (e) {
-    console.error('[PUT /api/news/:id] error', e);
+    console.error('[GET /api/news/:slug] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+app.get('/api/recent', async (req,res) => {
+  try {
+    await ensureMongo();
+    const limit = Math.min(10, Math.max(1, parseInt(req.query.limit || '3', 10)));
+    const items = await News.find(publicNewsFilter()).sort({ date: -1, createdAt: -1 }).limit(limit).lean();
+    const locale = resolveLocale(req);
+    setLocaleHeaders(res, locale);
+    sendCachedJson(req, res, { data: items.map(i => localizeNews(i, locale)) }, { lastModified: newestChange(items) });
+  } catch (e) {
+    console.error('[GET /api/recent] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// ---- Taxonomy routes: public lists, admin CRUD, rename (PUT with a new slug) and merge
+for (const [field, kind] of Object.entries(TAXONOMIES)) {
+  // Terms with their number of public articles; ?all=1 includes unused ones
+  app.get(`/api/${field}`, async (req,res) => {
+    try {
+      await ensureMongo();
+      const [terms, counts] = await Promise.all([
+        Term.find({ kind }).sort({ name: 1 }).lean(),
+        News.aggregate([
+          { $match: publicNewsFilter() },
+          { $unwind: { path: `$${field}`, preserveNullAndEmptyArrays: false } },
+          { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+        ])
+      ]);
+      const countOf = new Map(counts.map(c => [c._id, c.count]));
+      const data = terms.map(t => ({
+        name: t.name, slug: t.slug, description: t.description,
+        count: [t.slug, ...t.aliases].reduce((n, s) => n + (countOf.get(s) || 0), 0)
+      }));
+      // values not migrated to managed terms yet still show up
+      const known = new Set(terms.flatMap(t => [t.slug, ...t.aliases]));
+      for (const c of counts) {
+        if (!known.has(c._id)) data.push({ name: String(c._id).toLowerCase(), slug: toSlug(c._id), description: '', count: c.count, managed: false });
+      }
+      const all = ['1', 'true'].includes(String(req.query.all));
+      sendCachedJson(req, res, {
+        data: data.filter(t => all || t.count > 0).sort((a, b) => a.name.localeCompare(b.name, 'pt'))
+      }, { maxAge: 300, sMaxAge: 900 });
+    } catch (e) {
+      console.error(`[GET /api/${field}] error`, e);
+      res.status(500).json({ error: 'Failed' });
+    }
+  });
+
+  app.get(`/api/${field}/:slug`, async (req,res) => {
+    try {
+      await ensureMongo();
+      const term = await findTerm(kind, req.params.slug);
+      if (!term) return res.status(404).json({ error: 'Not found' });
+      const count = await News.countDocuments({ ...publicNewsFilter(), [field]: { $in: [term.slug, ...term.aliases] } });
+      res.json({ ...term, count });
+    } catch (e) {
+      console.error(`[GET /api/${field}/:slug] error`, e);
+      res.status(500).json({ error: 'Failed' });
+    }
+  });
+
+  app.post(`/api/${field}`, adminOnly, async (req,res) => {
+    try {
+      await ensureMongo();
+      const body = req.body || {};
+      const name = String(body.name || '').trim();
+      if (!name) return res.status(400).json({ error: 'name is required' });
+      const slug = requireSlug(body.slug || name);
+      if (await findTerm(kind, slug)) return res.status(409).json({ error: 'Slug already exists' });
+      const term = await Term.create({ kind, slug, name, description: String(body.description || '').trim() });
+      res.status(201).json(term);
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      if (e.code === 11000) return res.status(409).json({ error: 'Slug already exists' });
+      console.error(`[POST /api/${field}] error`, e);
+      res.status(500).json({ error: 'Failed' });
+    }
+  });
+
+  // Changing the slug renames the term: every article is rewritten and the old slug kept as an alias
+  app.put(`/api/${field}/:slug`, adminOnly, async (req,res) => {
+    try {
+      await ensureMongo();
+      const body = req.body || {};
+      const term = await Term.findOne({ kind, slug: req.params.slug });
+      if (!term) return res.status(404).json({ error: 'Not found' });
+      if (body.name !== undefined) {
+        if (!String(body.name).trim()) return res.status(400).json({ error: 'name is required' });
+        term.name = String(body.name).trim();
+      }
+      if (body.description !== undefined) term.description = String(body.description || '').trim();
+      let articles = 0;
+      const newSlug = body.slug !== undefined ? requireSlug(body.slug) : term.slug;
+      if (newSlug !== term.slug) {
+        const other = await findTerm(kind, newSlug);
+        if (other && String(other._id) !== String(term._id)) return res.status(409).json({ error: 'Slug already exists' });
+        const oldSlug = term.slug;
+        term.aliases = [...new Set([...term.aliases.filter(a => a !== newSlug), oldSlug])];
+        term.slug = newSlug;
+        await term.save();
+        articles = await rewriteTermInArticles(field, oldSlug, newSlug);
+      } else {
+        await term.save();
+      }
+      res.json({ ...term.toObject(), articlesUpdated: articles });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      console.error(`[PUT /api/${field}/:slug] error`, e);
+      res.status(500).json({ error: 'Failed' });
+    }
+  });
+
+  // Moves every article from :slug to body.into and removes :slug (its slug and aliases map to the target)
+  app.post(`/api/${field}/:slug/merge`, adminOnly, async (req,res) => {
+    try {
+      await ensureMongo();
+      const source = await Term.findOne({ kind, slug: req.params.slug });
+      if (!source) return res.status(404).json({ error: 'Not found' });
+      const target = await Term.findOne({ kind, slug: toSlug(req.body?.into || '') });
+      if (!target) return res.status(404).json({ error: 'Merge target not found' });
+      if (String(target._id) === String(source._id)) return res.status(400).json({ error: 'Cannot merge a term into itself' });
+      let articles = 0;
+      for (const s of [source.slug, ...source.aliases]) articles += await rewriteTermInArticles(field, s, target.slug);
+      target.aliases = [...new Set([...target.aliases, source.slug, ...source.aliases])];
+      await target.save();
+      await source.deleteOne();
+      res.json({ ...target.toObject(), articlesUpdated: articles });
+    } catch (e) {
+      console.error(`[POST /api/${field}/:slug/merge] error`, e);
+      res.status(500).json({ error: 'Failed' });
+    }
+  });
+
+  // Refuses while articles use the term, unless ?force=1 (then it's removed from them)
+  app.delete(`/api/${field}/:slug`, adminOnly, async (req,res) => {
+    try {
+      await ensureMongo();
+      const term = await Term.findOne({ kind, slug: req.params.slug });
+      if (!term) return res.status(404).json({ error: 'Not found' });
+      const slugs = [term.slug, ...term.aliases];
+      const inUse = await News.countDocuments({ [field]: { $in: slugs } });
+      const force = ['1', 'true'].includes(String(req.query.force));
+      if (inUse && !force) return res.status(409).json({ error: `Used by ${inUse} article(s); pass ?force=1 to remove it from them`, inUse });
+      let articles = 0;
+      for (const s of slugs) articles += await rewriteTermInArticles(field, s, null);
+      await term.deleteOne();
+      res.json({ ...term.toObject(), articlesUpdated: articles });
+    } catch (e) {
+      console.error(`[DELETE /api/${field}/:slug] error`, e);
+      res.status(500).json({ error: 'Failed' });
+    }
+  });
+}
+
+// ---- Authors: public profiles + article listings, admin CRUD and avatar upload
+app.get('/api/authors', async (_req,res) => {
+  try {
+    await ensureMongo();
+    const [authors, counts] = await Promise.all([
+      Author.find({}).sort({ name: 1 }).lean(),
+      News.aggregate([
+        { $match: { ...publicNewsFilter(), authorId: { $ne: null } } },
+        { $group: { _id: '$authorId', count: { $sum: 1 } } }
+      ])
+    ]);
+    const countOf = new Map(counts.map(c => [String(c._id), c.count]));
+    res.json({ data: authors.map(a => ({ ...a, count: countOf.get(String(a._id)) || 0 })) });
+  } catch (e) {
+    console.error('[GET /api/authors] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+app.get('/api/authors/:slug', async (req,res) => {
+  try {
+    await ensureMongo();
+    const author = await Author.findOne({ slug: req.params.slug }).lean();
+    if (!author) return res.status(404).json({ error: 'Not found' });
+    const count = await News.countDocuments({ ...publicNewsFilter(), authorId: author._id });
+    res.json({ ...author, count });
+  } catch (e) {
+    console.error('[GET /api/authors/:slug] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// Same pagination shape as GET /api/news
+app.get('/api/authors/:slug/news', async (req,res) => {
+  try {
+    await ensureMongo();
+    const author = await Author.findOne({ slug: req.params.slug }).lean();
+    if (!author) return res.status(404).json({ error: 'Not found' });
+    const { page=1, limit=6 } = req.query;
+    const p = Math.max(1, parseInt(page, 10) || 1);
+    const lim = Math.min(50, Math.max(1, parseInt(limit, 10) || 6));
+    const where = { ...publicNewsFilter(), authorId: author._id };
+    const total = await News.countDocuments(where);
+    const items = await News.find(where).sort({ date: -1, createdAt: -1 }).skip((p-1)*lim).limit(lim).lean();
+    const locale = resolveLocale(req);
+    setLocaleHeaders(res, locale);
+    res.json({
+      author,
+      data: items.map(i => localizeNews(i, locale)),
+      pagination: { page: p, limit: lim, total, totalPages: Math.max(1, Math.ceil(total/lim)) }
+    });
+  } catch (e) {
+    console.error('[GET /api/authors/:slug/news] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+app.post('/api/authors', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const body = req.body || {};
+    const name = String(body.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'name is required' });
+    const author = await Author.create({
+      name,
+      slug: requireSlug(body.slug || name),
+      bio: String(body.bio || '').trim(),
+      avatar: body.avatar ? String(body.avatar) : '',
+      social: pickSocial(body.social)
+    });
+    res.status(201).json(author);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message, ...e.details });
+    if (e.code === 11000) return res.status(409).json({ error: 'Slug already exists' });
+    console.error('[POST /api/authors] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// Renaming updates the display name stored on the author's articles
+app.put('/api/authors/:slug', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const body = req.body || {};
+    const author = await Author.findOne({ slug: req.params.slug });
+    if (!author) return res.status(404).json({ error: 'Not found' });
+    if (body.name !== undefined) {
+      if (!String(body.name).trim()) return res.status(400).json({ error: 'name is required' });
+      author.name = String(body.name).trim();
+    }
+    if (body.slug !== undefined) author.slug = requireSlug(body.slug);
+    if (body.bio !== undefined) author.bio = String(body.bio || '').trim();
+    if (body.avatar !== undefined) author.avatar = body.avatar ? String(body.avatar) : '';
+    if (body.social !== undefined) author.social = pickSocial(body.social);
+    const renamed = author.isModified('name');
+    await author.save();
+    if (renamed) await News.updateMany({ authorId: author._id }, { $set: { author: author.name } });
+    res.json(author);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message, ...e.details });
+    if (e.code === 11000) return res.status(409).json({ error: 'Slug already exists' });
+    console.error('[PUT /api/authors/:slug] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// Goes through the same R2 path as /api/upload, under authors/YYYY/MM/
+app.post('/api/authors/:slug/avatar', adminOnly, acceptImageUpload, async (req,res) => {
+  try {
+    await ensureMongo();
+    const author = await Author.findOne({ slug: req.params.slug });
+    if (!author) return res.status(404).json({ error: 'Not found' });
+    const { buffer, filename } = uploadedImage(req);
+    const stored = await storeImage(buffer, filename || author.slug, 'authors', AVATAR_VARIANTS);
+    await recordMedia(stored, { kind: 'authors', filename, alt: author.name, uploadedBy: adminActor(req) });
+    const previous = author.avatar;
+    author.avatar = stored.url;
+    await author.save();
+    await releaseImages([previous], { type: 'author', ref: author._id }, 'avatar');
+    res.json({ ...author.toObject(), avatarImage: stored });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('[POST /api/authors/:slug/avatar] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// Refuses while articles reference the author, unless ?reassign=<slug> moves them first
+app.delete('/api/authors/:slug', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const author = await Author.findOne({ slug: req.params.slug });
+    if (!author) return res.status(404).json({ error: 'Not found' });
+    const inUse = await News.countDocuments({ authorId: author._id });
+    if (inUse) {
+      if (!req.query.reassign) return res.status(409).json({ error: `Used by ${inUse} article(s); pass ?reassign=<slug>`, inUse });
+      const target = await Author.findOne({ slug: String(req.query.reassign) }).lean();
+      if (!target || String(target._id) === String(author._id)) return res.status(404).json({ error: 'Reassign target not found' });
+      await News.updateMany({ authorId: author._id }, { $set: { authorId: target._id, author: target.name } });
+    }
+    await author.deleteOne();
+    await releaseImages([author.avatar], { type: 'author', ref: author._id }, 'avatar');
+    res.json(author);
+  } catch (e) {
+    console.error('[DELETE /api/authors/:slug] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// ---- Related articles: shared categories/tags, decayed by age
+const RELATED_WEIGHTS = { category: 2, tag: 1 };
+const RELATED_DECAY_DAYS = 30; // an article this old scores half of a brand-new one with the same overlap
+
+app.get('/api/news/:slug/related', async (req,res) => {
+  try {
+    await ensureMongo();
+    const limit = Math.min(12, Math.max(1, parseInt(req.query.limit, 10) || 4));
+    const item = await News.findOne({ ...publicNewsFilter(), ...idOrSlugFilter(req.params.slug) })
+      .select('categories tags')
+      .lean();
+    if (!item) return res.status(404).json({ error: 'Not found' });
+
+    const lower = (list) => [...new Set((list || []).map(v => String(v).toLowerCase()))];
+    const categories = lower(item.categories);
+    const tags = lower(item.tags);
+    if (!categories.length && !tags.length) return res.json({ data: [] });
+
+    const anyOf = (list) => list.map(v => new RegExp(`^${escapeRegex(v)}$`, 'i'));
+    const sharedCount = (field, values) => ({
+      $size: { $setIntersection: [{ $map: { input: { $ifNull: [`$${field}`, []] }, as: 'v', in: { $toLower: '$$v' } } }, values] }
+    });
+    const now = new Date();
+    const items = await News.aggregate([
+      { $match: {
+        ...publicNewsFilter(now),
+        _id: { $ne: item._id },
+        $or: [{ categories: { $in: anyOf(categories) } }, { tags: { $in: anyOf(tags) } }]
+      } },
+      { $addFields: {
+        sharedCategories: sharedCount('categories', categories),
+        sharedTags: sharedCount('tags', tags),
+        ageDays: { $max: [0, { $divide: [{ $subtract: [now, { $ifNull: ['$date', '$createdAt'] }] }, 86400000] }] }
+      } },
+      { $addFields: {
+        score: { $divide: [
+          { $add: [{ $multiply: ['$sharedCategories', RELATED_WEIGHTS.category] }, { $multiply: ['$sharedTags', RELATED_WEIGHTS.tag] }] },
+          { $add: [1, { $divide: ['$ageDays', RELATED_DECAY_DAYS] }] }
+        ] }
+      } },
+      { $sort: { score: -1, date: -1 } },
+      { $limit: limit },
+      { $project: { content: 0, contentSource: 0, toc: 0, 'translations.content': 0, 'translations.contentSource': 0, 'translations.toc': 0, ageDays: 0 } }
+    ]);
+    const locale = resolveLocale(req);
+    setLocaleHeaders(res, locale);
+    sendCachedJson(req, res, { data: items.map(i => localizeNews(i, locale)) }, { maxAge: 300, sMaxAge: 900 });
+  } catch (e) {
+    console.error('[GET /api/news/:slug/related] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// ---- View tracking and "most read"
+const BOT_UA = /bot|crawl|spider|slurp|fetch|preview|facebookexternalhit|whatsapp|telegram|embedly|lighthouse|headless|phantom|curl|wget|python|java\/|go-http|axios|node-fetch|postman/i;
+function isBotRequest(req) {
+  const ua = req.get('user-agent') || '';
+  const purpose = req.get('sec-purpose') || req.get('purpose') || req.get('x-moz') || '';
+  return !ua || BOT_UA.test(ua) || /prefetch|prerender/i.test(purpose);
+}
+function utcDay(d = new Date()) {
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+function addDays(d, n) {
+  return new Date(+d + n * 86400000);
+}
+// Visitor = IP + user agent, as seen by the server; a client-sent id would let anyone mint new
+// visitors in a loop
+function viewerKey(req, newsId) {
+  const visitor = `${req.ip}|${req.get('user-agent') || ''}`;
+  return createHash('sha1').update(`${newsId}|${visitor}`).digest('base64url');
+}
+// True if this visitor already viewed the article inside the dedupe window.
+// The marker upsert only matches an expired marker; a fresh one makes the insert hit the duplicate _id.
+async function seenRecently(key, now = new Date()) {
+  try {
+    await NewsViewSeen.updateOne(
+      { _id: key, seenAt: { $lt: new Date(+now - VIEW_DEDUP_MINUTES * 60000) } },
+      { $set: { seenAt: now } },
+      { upsert: true }
+    );
+    return false;
+  } catch (e) {
+    if (e.code === 11000) return true;
+    throw e;
+  }
+}
+
+app.post('/api/news/:slug/view', async (req,res) => {
+  try {
+    await ensureMongo();
+    const item = await News.findOne({ ...publicNewsFilter(), ...idOrSlugFilter(req.params.slug) }).select('_id').lean();
+    if (!item) return res.status(404).json({ error: 'Not found' });
+    res.set('Cache-Control', 'no-store');
+    if (isAdmin(req)) return res.status(202).json({ counted: false, reason: 'admin' });
+    if (isBotRequest(req)) return res.status(202).json({ counted: false, reason: 'bot' });
+    if (await seenRecently(viewerKey(req, item._id))) return res.status(202).json({ counted: false, reason: 'duplicate' });
+    if (!(await hitRateLimit(`view:${visitorHash(req)}`, VIEW_RATE_LIMIT)).allowed) {
+      return res.status(202).json({ counted: false, reason: 'rate-limited' });
+    }
+    await NewsView.updateOne({ news: item._id, day: utcDay() }, { $inc: { count: 1 } }, { upsert: true });
+    res.status(202).json({ counted: true });
+  } catch (e) {
+    console.error('[POST /api/news/:slug/view] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// ?period=day|week|month (default week), ?limit=
+app.get('/api/most-read', async (req,res) => {
+  try {
+    await ensureMongo();
+    const period = String(req.query.period || 'week');
+    if (!MOST_READ_PERIODS[period]) {
+      return res.status(400).json({ error: 'Invalid period', allowed: Object.keys(MOST_READ_PERIODS) });
+    }
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    const now = new Date();
+    const since = addDays(utcDay(now), 1 - MOST_READ_PERIODS[period]);
+    const rows = await NewsView.aggregate([
+      { $match: { day: { $gte: since } } },
+      { $group: { _id: '$news', views: { $sum: '$count' } } },
+      { $sort: { views: -1, _id: -1 } },
+      { $lookup: {
+        from: News.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'news',
+        pipeline: [
+          { $match: publicNewsFilter(now) },
+          { $project: { content: 0, contentSource: 0, toc: 0, 'translations.content': 0, 'translations.contentSource': 0, 'translations.toc': 0 } }
+        ]
+      } },
+      { $unwind: '$news' },
+      { $limit: limit }
+    ]);
+    const locale = resolveLocale(req);
+    setLocaleHeaders(res, locale);
+    sendCachedJson(req, res, {
+      period,
+      since,
+      data: rows.map(r => ({ ...localizeNews(r.news, locale), views: r.views }))
+    }, { maxAge: 300, sMaxAge: 600 });
+  } catch (e) {
+    console.error('[GET /api/most-read] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// Daily series for one article (admin): ?days=30 or ?from=YYYY-MM-DD&to=YYYY-MM-DD, missing days filled with 0
+app.get('/api/news/:id/views', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const found = await News.findOne(idOrSlugFilter(req.params.id)).select('_id slug title').lean();
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    const to = utcDay(req.query.to ? new Date(req.query.to) : new Date());
+    const days = Math.min(366, Math.max(1, parseInt(req.query.days, 10) || 30));
+    const from = utcDay(req.query.from ? new Date(req.query.from) : addDays(to, 1 - days));
+    if (isNaN(from) || isNaN(to) || from > to) return res.status(400).json({ error: 'Invalid range' });
+    if (to - from > 366 * 86400000) return res.status(400).json({ error: 'Range too long (max 366 days)' });
+
+    const rows = await NewsView.find({ news: found._id, day: { $gte: from, $lte: to } }).lean();
+    const byDay = new Map(rows.map(r => [+r.day, r.count]));
+    const data = [];
+    for (let d = from; d <= to; d = addDays(d, 1)) {
+      data.push({ date: d.toISOString().slice(0, 10), views: byDay.get(+d) || 0 });
+    }
+    res.json({
+      news: found,
+      from: data[0].date,
+      to: data[data.length - 1].date,
+      total: data.reduce((n, d) => n + d.views, 0),
+      data
+    });
+  } catch (e) {
+    console.error('[GET /api/news/:id/views] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// ---- Comments
+const COMMENT_MAX_LINKS = Number(process.env.COMMENT_MAX_LINKS || 2);
+// comma separated words or phrases ("ganhe dinheiro"), matched as whole words ignoring case and accents
+const COMMENT_BLOCKED_WORDS = (process.env.COMMENT_BLOCKED_WORDS || '').split(',').map(w => wordText(w)).filter(Boolean);
+const COMMENT_RATE_LIMIT = { limit: Number(process.env.COMMENT_RATE_LIMIT || 5), windowSeconds: 10 * 60 };
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Counts one hit for `key` in the current window; retryAfter is in seconds
+async function hitRateLimit(key, { limit, windowSeconds }) {
+  const now = Date.now();
+  const windowMs = windowSeconds * 1000;
+  const start = Math.floor(now / windowMs) * windowMs;
+  const hit = () => RateLimit.findOneAndUpdate(
+    { _id: `${key}:${start}` },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(start + windowMs) } },
+    { upsert: true, new: true, lean: true }
+  );
+  // two first hits racing on the upsert: the loser retries as a plain update
+  const doc = await hit().catch(e => { if (e.code === 11000) return hit(); throw e; });
+  return { allowed: doc.count <= limit, remaining: Math.max(0, limit - doc.count), retryAfter: Math.ceil((start + windowMs - now) / 1000) };
+}
+function visitorHash(req) {
+  return createHash('sha1').update(String(req.ip || '')).digest('base64url');
+}
+// Heuristics that send a comment to the spam queue instead of pending
+function commentSpamReasons({ name, email, content }) {
+  const reasons = [];
+  const links = (content.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > COMMENT_MAX_LINKS) reasons.push('too-many-links');
+  if (/https?:\/\/|www\./i.test(name)) reasons.push('link-in-name');
+  const text = ` ${wordText(`${name} ${email} ${content}`)} `;
+  if (COMMENT_BLOCKED_WORDS.some(w => text.includes(` ${w} `))) reasons.push('blocked-word');
+  return reasons;
+}
+function publicComment(c) {
+  return { _id: c._id, parent: c.parent, name: c.name, content: c.content, createdAt: c.createdAt, replies: [] };
+}
+// Nests comments (oldest first) under their parents; replies to a hidden comment stay hidden
+function commentThread(comments) {
+  const byId = new Map(comments.map(c => [String(c._id), publicComment(c)]));
+  const roots = [];
+  for (const c of byId.values()) {
+    if (!c.parent) roots.push(c);
+    else byId.get(String(c.parent))?.replies.push(c);
+  }
+  return roots;
+}
+function countThread(nodes) {
+  return nodes.reduce((n, c) => n + 1 + countThread(c.replies), 0);
+}
+// Stores the number of visible comments on the article; doesn't touch updatedAt (feeds, sitemaps)
+async function syncCommentCount(newsId) {
+  const approved = await Comment.find({ news: newsId, status: 'approved' }).select('_id parent').sort({ createdAt: 1 }).lean();
+  const commentCount = countThread(commentThread(approved));
+  await News.updateOne({ _id: newsId }, { $set: { commentCount } }, { timestamps: false });
+  return commentCount;
+}
+
+// Public submission: { name, email?, content, parentId? }; always lands in moderation
+app.post('/api/news/:slug/comments', async (req,res) => {
+  try {
+    await ensureMongo();
+    const item = await News.findOne({ ...publicNewsFilter(), ...idOrSlugFilter(req.params.slug) }).select('_id').lean();
+    if (!item) return res.status(404).json({ error: 'Not found' });
+    const body = req.body || {};
+    const name = String(body.name || '').trim();
+    const email = String(body.email || '').trim().toLowerCase();
+    const content = String(body.content || '').trim();
+    if (!name || !content) return res.status(400).json({ error: 'name and content are required' });
+    if (name.length > 80) return res.status(400).json({ error: 'name is too long (max 80)' });
+    if (content.length > 4000) return res.status(400).json({ error: 'content is too long (max 4000)' });
+    if (email && !EMAIL_RE.test(email)) return res.status(400).json({ error: 'Invalid email' });
+    let parent = null;
+    if (body.parentId) {
+      const ok = mongoose.isObjectIdOrHexString(body.parentId)
+        && await Comment.exists({ _id: body.parentId, news: item._id, status: 'approved' });
+      if (!ok) return res.status(400).json({ error: 'Invalid parentId' });
+      parent = body.parentId;
+    }
+
+    const admin = isAdmin(req);
+    const visitor = visitorHash(req);
+    if (!admin) {
+      const limit = await hitRateLimit(`comment:${visitor}`, COMMENT_RATE_LIMIT);
+      if (!limit.allowed) {
+        res.set('Retry-After', String(limit.retryAfter));
+        return res.status(429).json({ error: 'Too many comments, try again later' });
+      }
+    }
+    const spamReasons = admin ? [] : commentSpamReasons({ name, email, content });
+    const comment = await Comment.create({
+      news: item._id, parent, name, email, content, visitor, spamReasons,
+      status: admin ? 'approved' : (spamReasons.length ? 'spam' : 'pending'),
+      ...(admin ? { moderatedBy: adminActor(req), moderatedAt: new Date() } : {})
+    });
+    if (admin) await syncCommentCount(item._id);
+    // spam is reported as pending so the heuristics aren't easy to probe
+    res.status(201).json({ _id: comment._id, status: admin ? 'approved' : 'pending' });
+  } catch (e) {
+    if (e.name === 'ValidationError') return res.status(400).json({ error: e.message });
+    console.error('[POST /api/news/:slug/comments] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// Approved comments as a thread (oldest first)
+app.get('/api/news/:slug/comments', async (req,res) => {
+  try {
+    await ensureMongo();
+    const item = await News.findOne({ ...publicNewsFilter(), ...idOrSlugFilter(req.params.slug) }).select('_id').lean();
+    if (!item) return res.status(404).json({ error: 'Not found' });
+    const comments = await Comment.find({ news: item._id, status: 'approved' })
+      .select('parent name content createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+    const data = commentThread(comments);
+    sendCachedJson(req, res, { data, total: countThread(data) }, { maxAge: 30, sMaxAge: 60 });
+  } catch (e) {
+    console.error('[GET /api/news/:slug/comments] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// Moderation queue (admin): ?status=pending|approved|rejected|spam|all (default pending), ?news=<id|slug>
+app.get('/api/comments', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const { status = 'pending', news, page = '1', limit = '20' } = req.query;
+    if (status !== 'all' && !COMMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: all, ${COMMENT_STATUSES.join(', ')}` });
+    }
+    const where = status === 'all' ? {} : { status };
+    if (news) {
+      const found = await News.findOne(idOrSlugFilter(news)).select('_id').lean();
+      if (!found) return res.status(404).json({ error: 'Not found' });
+      where.news = found._id;
+    }
+    const p = Math.max(1, parseInt(page, 10) || 1);
+    const lim = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const total = await Comment.countDocuments(where);
+    const data = await Comment.find(where)
+      .sort({ createdAt: -1 })
+      .skip((p-1)*lim)
+      .limit(lim)
+      .populate('news', 'slug title')
+      .lean();
+    res.json({ data, pagination: { page: p, limit: lim, total, totalPages: Math.max(1, Math.ceil(total/lim)) } });
+  } catch (e) {
+    console.error('[GET /api/comments] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+for (const [action, status] of Object.entries({ approve: 'approved', reject: 'rejected', spam: 'spam' })) {
+  app.post(`/api/comments/:id/${action}`, adminOnly, async (req,res) => {
+    try {
+      await ensureMongo();
+      if (!mongoose.isObjectIdOrHexString(req.params.id)) return res.status(404).json({ error: 'Not found' });
+      const comment = await Comment.findByIdAndUpdate(
+        req.params.id,
+        { $set: { status, moderatedBy: adminActor(req), moderatedAt: new Date() } },
+        { new: true }
+      ).lean();
+      if (!comment) return res.status(404).json({ error: 'Not found' });
+      const commentCount = await syncCommentCount(comment.news);
+      res.json({ ...comment, commentCount });
+    } catch (e) {
+      console.error(`[POST /api/comments/:id/${action}] error`, e);
+      res.status(500).json({ error: 'Failed' });
+    }
+  });
+}
+
+// Deletes the comment and all replies under it
+app.delete('/api/comments/:id', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    if (!mongoose.isObjectIdOrHexString(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const comment = await Comment.findById(req.params.id).select('news').lean();
+    if (!comment) return res.status(404).json({ error: 'Not found' });
+    const ids = [comment._id];
+    let level = ids;
+    while (level.length) {
+      level = (await Comment.find({ parent: { $in: level } }).select('_id').lean()).map(c => c._id);
+      ids.push(...level);
+    }
+    const { deletedCount } = await Comment.deleteMany({ _id: { $in: ids } });
+    const commentCount = await syncCommentCount(comment.news);
+    res.json({ deleted: deletedCount, commentCount });
+  } catch (e) {
+    console.error('[DELETE /api/comments/:id] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// ---- Full-text search (ranked, with highlighted snippets)
+const SEARCH_STOPWORDS = new Set(['a', 'o', 'as', 'os', 'e', 'de', 'da', 'do', 'das', 'dos', 'em', 'no', 'na', 'nos', 'nas', 'um', 'uma', 'para', 'por', 'com', 'que', 'se', 'ao', 'the', 'of', 'and']);
+// Lowercases and strips accents one character at a time, so offsets still line up with the original
+function foldText(str) {
+  let out = '';
+  for (const ch of String(str || '')) {
+    const folded = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    out += folded.length === ch.length ? folded : ch;
+  }
+  return out;
+}
+// Folded words joined by single spaces, so phrases compare as substrings on word boundaries
+function wordText(str) {
+  return foldText(str).split(/[^a-z0-9]+/).filter(Boolean).join(' ');
+}
+function searchTerms(q) {
+  const terms = foldText(q).split(/[^a-z0-9]+/).filter(t => t.length > 1 && !SEARCH_STOPWORDS.has(t));
+  return [...new Set(terms)];
+}
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+// [start, end) ranges of words starting with one of the terms (prefix match covers plurals/stems)
+function matchRanges(text, terms) {
+  if (!terms.length) return [];
+  const re = new RegExp(`(^|[^a-z0-9])((?:${terms.map(escapeRegex).join('|')})[a-z0-9]*)`, 'g');
+  const folded = foldText(text);
+  const ranges = [];
+  let m;
+  while ((m = re.exec(folded))) {
+    const start = m.index + m[1].length;
+    ranges.push([start, start + m[2].length]);
+  }
+  return ranges;
+}
+function markRanges(text, ranges, from = 0, to = text.length) {
+  let out = '';
+  let pos = from;
+  for (const [s, e] of ranges) {
+    if (e <= from || s >= to) continue;
+    out += escapeHtml(text.slice(pos, Math.max(pos, s))) + '<mark>' + escapeHtml(text.slice(Math.max(pos, s), Math.min(e, to))) + '</mark>';
+    pos = Math.min(e, to);
+  }
+  return out + escapeHtml(text.slice(pos, to));
+}
+// Whole field with matches wrapped in <mark> (HTML-escaped), or null when nothing matched
+function highlightField(text, terms) {
+  const ranges = matchRanges(text || '', terms);
+  return ranges.length ? markRanges(text, ranges) : null;
+}
+// Up to `max` windows of roughly `size` characters around matches, cut on word boundaries
+function highlightSnippets(text, terms, { size = 160, max = 3 } = {}) {
+  const ranges = matchRanges(text, terms);
+  const windows = [];
+  for (const [s] of ranges) {
+    const last = windows[windows.length - 1];
+    if (last && s < last[1]) continue;
+    if (windows.length >= max) break;
+    let start = Math.max(0, s - Math.floor(size / 3));
+    let end = Math.min(text.length, start + size);
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length) end = text.lastIndexOf(' ', end) > s ? text.lastIndexOf(' ', end) : end;
+    windows.push([start, end]);
+  }
+  return windows.map(([start, end]) =>
+    (start > 0 ? '…' : '') + markRanges(text, ranges, start, end) + (end < text.length ? '…' : ''));
+}
+function searchHighlights(item, terms) {
+  return {
+    title: highlightField(item.title, terms),
+    excerpt: highlightField(item.excerpt, terms),
+    content: highlightSnippets(htmlToText(item.content), terms),
+    tags: (item.tags || []).filter(t => matchRanges(t, terms).length)
+  };
+}
+
+// GET /api/search?q=&category=&tag=&page=&limit= — ranked by relevance, then date
+app.get('/api/search', async (req,res) => {
+  try {
+    await ensureMongo();
+    const { page=1, limit=10, category, tag } = req.query;
+    const q = String(req.query.q || '').trim();
+    const p = Math.max(1, parseInt(page, 10) || 1);
+    const lim = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+    const terms = searchTerms(q);
+    const empty = { data: [], query: q, pagination: { page: p, limit: lim, total: 0, totalPages: 1 } };
+    if (!terms.length) return res.json(empty);
+
+    // terms are plain words here, so quotes and '-' can't turn into phrase/negation operators;
+    // they are stemmed like the text in the reader's language
+    const locale = resolveLocale(req);
+    const where = { ...publicNewsFilter(), $text: { $search: terms.join(' '), $language: TEXT_SEARCH_LANGUAGES[locale] || 'portuguese' } };
+    if (category) where.categories = await termFilter('category', category);
+    if (tag) where.tags = await termFilter('tag', tag);
+
+    const total = await News.countDocuments(where);
+    const items = await News.find(where, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, date: -1 })
+      .skip((p-1)*lim).limit(lim)
+      .lean();
+    const data = items.map(raw => {
+      const { content, ...item } = localizeNews(raw, locale);
+      return { ...item, highlights: searchHighlights({ ...item, content }, terms) };
+    });
+    setLocaleHeaders(res, locale);
+    res.json({ data, query: q, locale, pagination: { page: p, limit: lim, total, totalPages: Math.max(1, Math.ceil(total/lim)) } });
+  } catch (e) {
+    console.error('[GET /api/search] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+app.post('/api/news', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const body = req.body || {};
+    const slug = requireSlug(body.slug || body.title || randomUUID());   // ✅
+    const { status, publishAt } = resolvePublishState(body);
+    const locale = body.locale || DEFAULT_LOCALE;
+    if (!SUPPORTED_LOCALES.includes(locale)) return res.status(400).json({ error: `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
+    const translations = normalizeTranslations(body.translations, locale);
+    await assertSlugsAvailable(slug, translations);
+    const item = await News.create({
+      slug,
+      title: body.title || '',
+      ...contentFields({ content: body.content || '', contentFormat: body.contentFormat, excerpt: body.excerpt }),
+      cover: body.cover || '',
+      date: body.date ? new Date(body.date) : (status === 'scheduled' ? publishAt : new Date()),
+      ...await authorFields(body, { isNew: true }),
+      categories: [],
+      tags: [],
+      ...await taxonomyFields(req, body),
+      status,
+      publishAt,
+      seo: pickSeo(body.seo),
+      locale,
+      translations
+    });
+    await recordRevision(item, { action: 'create', editedBy: adminActor(req) });
+    res.status(201).json(item);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message, ...e.details });
+    if (e.name === 'ValidationError') return res.status(400).json({ error: e.message });
+    if (e.code === 11000) return res.status(409).json({ error: 'Slug already exists' });
+    console.error('[POST /api/news] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+app.put('/api/news/:id', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const idOrSlug = req.params.id;
+    const body = req.body || {};
+    const found = await News.findOne(idOrSlugFilter(idOrSlug));
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    await ensureBaselineRevision(found);
+    const before = found.toObject();
+    if (body.slug && body.slug !== found.slug) {
+      const newSlug = requireSlug(body.slug);
+      const ownTranslation = found.translations.some(t => t.slug === newSlug);
+      if (ownTranslation || await slugTaken(newSlug, found._id)) return res.status(409).json({ error: 'Slug already exists' });
+      body.slug = newSlug;
+    }
+    if (body.locale !== undefined && !SUPPORTED_LOCALES.includes(body.locale)) {
+      return res.status(400).json({ error: `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
+    }
+    if (body.translations !== undefined) {
+      const translations = normalizeTranslations(body.translations, body.locale || found.locale);
+      await assertSlugsAvailable(body.slug || found.slug, translations, found._id);
+      body.translations = translations;
+    } else if (body.locale !== undefined && found.translations.some(t => t.locale === body.locale)) {
+      return res.status(400).json({ error: `"${body.locale}" already exists as a translation` });
+    }
+    for (const f of DERIVED_NEWS_FIELDS) delete body[f];
+    Object.assign(body, await taxonomyFields(req, body));
+    const author = await authorFields(body);
+    delete body.authorId;
+    if (author) Object.assign(body, author);
+    else delete body.author;
+    if (body.content !== undefined || body.contentFormat !== undefined || body.excerpt !== undefined) {
+      Object.assign(body, contentFields(body, found));
+    }
+    if (body.status !== undefined || body.publishAt !== undefined) {
+      Object.assign(body, resolvePublishState(body, found));
+    }
+    if (body.seo !== undefined) body.seo = pickSeo(body.seo) || {};
+    Object.assign(found, body);
+    rememberOldSlugs(found, before);
+    await found.save();
+    await recordRevision(found, { editedBy: adminActor(req) });
+    res.json(found);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message, ...e.details });
+    if (e.name === 'ValidationError') return res.status(400).json({ error: e.message });
+    console.error('[PUT /api/news/:id] error', e);
     res.status(500).json({ error: 'Failed' });
   }
 });
@@ -398,105 +2496,1500 @@ app.put('/api/news/:id', adminOnly, async (req,res) => {
 app.delete('/api/news/:id', adminOnly, async (req,res) => {
   try {
     await ensureMongo();
-    const idOrSlug = req.params.id;
-    const found = await News.findOneAndDelete({ $or: [{ _id: idOrSlug }, { slug: idOrSlug }] });
-    if (!found) return res.status(404).json({ error: 'Not found' });
+    const idOrSlug = req.params.id;
+    const found = await News.findOneAndDelete(idOrSlugFilter(idOrSlug));
+    if (!found) return res.status(404).json({ error: 'Not found' });
+
+    await releaseImages(newsMediaUrls(found), { type: 'news', ref: found._id }, 'article images');
+    await NewsRevision.deleteMany({ news: found._id });
+    await NewsView.deleteMany({ news: found._id });
+    await Comment.deleteMany({ news: found._id });
+
+    res.json(found);
+  } catch (e) {
+    console.error('[DELETE /api/news/:id] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+
+// Frees an old slug (it stops redirecting and can be used by another article)
+app.delete('/api/news/:id/previous-slugs/:slug', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const found = await News.findOne(idOrSlugFilter(req.params.id));
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    if (!found.previousSlugs.some(p => p.slug === req.params.slug)) return res.status(404).json({ error: 'Slug not in history' });
+    found.previousSlugs = found.previousSlugs.filter(p => p.slug !== req.params.slug);
+    await found.save();
+    res.json({ slug: found.slug, previousSlugs: found.previousSlugs });
+  } catch (e) {
+    console.error('[DELETE /api/news/:id/previous-slugs/:slug] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// ---- Translations (admin): add/replace or remove one locale of an article
+app.put('/api/news/:id/translations/:locale', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const found = await News.findOne(idOrSlugFilter(req.params.id));
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    const locale = String(req.params.locale).toLowerCase();
+    const [translation] = normalizeTranslations([{ ...(req.body || {}), locale }], found.locale);
+    const translations = found.toObject().translations.filter(t => t.locale !== locale).concat(translation);
+    await assertSlugsAvailable(found.slug, translations, found._id);
+    await ensureBaselineRevision(found);
+    const before = found.toObject();
+    found.translations = translations;
+    rememberOldSlugs(found, before);
+    await found.save();
+    await recordRevision(found, { editedBy: adminActor(req) });
+    res.json(found);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message, ...e.details });
+    if (e.name === 'ValidationError') return res.status(400).json({ error: e.message });
+    console.error('[PUT /api/news/:id/translations/:locale] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+app.delete('/api/news/:id/translations/:locale', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const found = await News.findOne(idOrSlugFilter(req.params.id));
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    const locale = String(req.params.locale).toLowerCase();
+    if (!found.translations.some(t => t.locale === locale)) return res.status(404).json({ error: 'Translation not found' });
+    await ensureBaselineRevision(found);
+    const before = found.toObject();
+    found.translations = before.translations.filter(t => t.locale !== locale);
+    rememberOldSlugs(found, before);
+    await found.save();
+    await recordRevision(found, { editedBy: adminActor(req) });
+    res.json(found);
+  } catch (e) {
+    console.error('[DELETE /api/news/:id/translations/:locale] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// Rebuilds indexes to match the schemas (drops the ones that no longer exist, e.g. an old text index)
+app.post('/api/admin/sync-indexes', adminOnly, async (_req,res) => {
+  try {
+    await ensureMongo();
+    const dropped = await News.syncIndexes();
+    res.json({ ok: true, dropped });
+  } catch (e) {
+    console.error('[POST /api/admin/sync-indexes] error', e);
+    res.status(500).json({ error: 'Failed', detail: String(e.message || e) });
+  }
+});
+
+// ---- Data migrations (admin)
+// Each one is idempotent and works in batches (?limit=, default 200) so a run fits in maxDuration;
+// call again until `remaining` is 0. ?dryRun=1 reports without writing.
+const MIGRATIONS = {
+  // replaces an older text index (e.g. `news_text`, or one built without per-locale analyzers);
+  // Mongo allows only one per collection, so autoIndex can't create the new one next to it
+  'text-index': async ({ dryRun }) => {
+    const [, wanted] = News.schema.indexes().find(([keys]) => Object.values(keys).includes('text'));
+    const existing = (await News.collection.indexes()).filter(i => i.key?._fts === 'text');
+    const stale = existing.filter(i =>
+      i.name !== wanted.name ||
+      i.default_language !== wanted.default_language ||
+      (i.language_override || 'language') !== wanted.language_override ||
+      JSON.stringify(Object.entries(i.weights || {}).sort()) !== JSON.stringify(Object.entries(wanted.weights).sort())
+    );
+    const create = stale.length > 0 || existing.length === 0;
+    if (!dryRun) {
+      for (const index of stale) await News.collection.dropIndex(index.name);
+      if (create) await News.syncIndexes();
+    }
+    return { dropped: stale.map(i => i.name), created: create ? wanted.name : null };
+  },
+  // sanitizes and derives toc/word count for articles saved before the content pipeline existed
+  'content-pipeline': async ({ dryRun, limit }) => {
+    const where = { contentSource: { $exists: false } };
+    const docs = await News.find(where).limit(limit);
+    const changed = [];
+    for (const doc of docs) {
+      const fields = contentFields({ content: doc.content || '', contentFormat: 'html', excerpt: doc.excerpt });
+      if (fields.content !== doc.content) changed.push(doc.slug);
+      if (dryRun) continue;
+      await ensureBaselineRevision(doc);
+      doc.set(fields);
+      await doc.save();
+      await recordRevision(doc, { editedBy: 'migration:content-pipeline' });
+    }
+    const remaining = await News.countDocuments(where) - (dryRun ? 0 : docs.length);
+    return { processed: docs.length, sanitized: changed, remaining: Math.max(0, remaining) };
+  },
+  // turns the free-text categories/tags into managed terms; case/accent variants collapse into one slug
+  'taxonomy': async ({ dryRun }) => {
+    const report = {};
+    for (const [field, kind] of Object.entries(TAXONOMIES)) {
+      const values = (await News.distinct(field)).filter(v => typeof v === 'string' && v.trim());
+      const created = [];
+      const rewritten = [];
+      for (const value of values) {
+        const existing = await findTerm(kind, value);
+        const slug = existing?.slug || toSlug(value);
+        if (!existing && !created.some(c => c.slug === slug)) {
+          created.push({ slug, name: value.trim() });
+          if (!dryRun) await Term.updateOne({ kind, slug }, { $setOnInsert: { kind, slug, name: value.trim() } }, { upsert: true });
+        }
+        if (value !== slug) {
+          rewritten.push({ from: value, to: slug });
+          if (!dryRun) await rewriteTermInArticles(field, value, slug);
+        }
+      }
+      report[field] = { created, rewritten };
+    }
+    return report;
+  },
+  // links the free-text `author` strings to Author documents; spelling/case variants share one slug
+  'authors': async ({ dryRun, limit }) => {
+    const where = { authorId: { $exists: false } };
+    const values = (await News.distinct('author', where)).filter(v => v != null).slice(0, limit);
+    const linked = [];
+    for (const value of values) {
+      const name = String(value).trim() || DEFAULT_AUTHOR;
+      const slug = toSlug(name);
+      const existing = await Author.findOne({ slug }).lean();
+      const count = await News.countDocuments({ ...where, author: value });
+      linked.push({ from: value, to: slug, created: !existing, articles: count });
+      if (dryRun) continue;
+      const author = existing || await Author.findOneAndUpdate(
+        { slug }, { $setOnInsert: { name, slug } }, { upsert: true, new: true, lean: true }
+      );
+      await News.updateMany({ ...where, author: value }, { $set: { authorId: author._id, author: author.name } });
+    }
+    // articles that never had an author string at all
+    const missing = await News.countDocuments({ ...where, author: null });
+    if (missing && !dryRun) {
+      const author = await defaultAuthor();
+      await News.updateMany({ ...where, author: null }, { $set: { authorId: author._id, author: author.name } });
+    }
+    return { linked, withoutAuthor: missing, remaining: await News.countDocuments(where) };
+  },
+  // recomputes which articles/authors use each Media item, e.g. after restoring a database backup
+  'media-usage': async ({ dryRun }) => {
+    const articles = await News.countDocuments();
+    const authors = await Author.countDocuments();
+    if (dryRun) return { articles, authors };
+    await Media.updateMany({}, { $set: { usage: [] } });
+    for await (const doc of News.find({}).select('slug cover seo content translations.content translations.seo').lean().cursor()) {
+      await syncMediaUsage('news', doc);
+    }
+    for (const a of await Author.find({}).select('slug avatar').lean()) await syncMediaUsage('author', a);
+    return { articles, authors, unused: await Media.countDocuments({ usage: { $size: 0 } }) };
+  },
+  // one Event per event name found on registrations, then links them. "Aprenda & Empreenda" gets the
+  // date, venue and phone numbers that used to be hardcoded in its SMS text.
+  'events': async ({ dryRun }) => {
+    const names = (await Attendance.distinct('event', { eventId: null })).filter(Boolean);
+    const report = { created: [], linked: 0 };
+    for (const name of names) {
+      const count = await Attendance.countDocuments({ eventId: null, event: name });
+      let event = await Event.findOne({ $or: [{ name }, { slug: toSlug(name) }] });
+      if (!event) {
+        report.created.push(name);
+        if (dryRun) {
+          report.linked += count;
+          continue;
+        }
+        const last = await Attendance.findOne({ event: name }).sort({ date: -1 }).lean();
+        const year = (last?.date || new Date()).getUTCFullYear();
+        const legacy = name === 'Aprenda & Empreenda'
+          ? {
+            startsAt: new Date(Date.UTC(year, 11, 20, 7, 0)), // 20 Dec, 8h00 in Luanda
+            venue: { name: 'Sala de Conferência do Shopping Popular (Camama)' },
+            contact: { phones: ['942 218 877', '953 990 348'] }
+          }
+          : { startsAt: last?.date || new Date() };
+        event = await Event.create({ name, slug: toSlug(name), ...legacy, registrationClosesAt: legacy.startsAt });
+      }
+      if (!dryRun) {
+        await Attendance.updateMany({ eventId: null, event: name }, { $set: { eventId: event._id } });
+        await syncSeatCount(event);
+      }
+      report.linked += count;
+    }
+    return report;
+  },
+  // fills Attendance.phoneE164 from what was typed; unparseable numbers get null and are listed.
+  // Registrations that turn out to be the same person twice are reported, not deleted.
+  'phones': async ({ dryRun, limit }) => {
+    const where = { phoneE164: { $exists: false } };
+    const docs = await Attendance.find(where).select('phone eventId').limit(limit).lean();
+    const invalid = [];
+    const ops = docs.map(doc => {
+      const phoneE164 = toE164(doc.phone);
+      if (!phoneE164) invalid.push({ id: doc._id, phone: doc.phone });
+      return { updateOne: { filter: { _id: doc._id }, update: { $set: { phoneE164 } } } };
+    });
+    if (ops.length && !dryRun) await Attendance.bulkWrite(ops, { ordered: false });
+    const remaining = Math.max(0, await Attendance.countDocuments(where) - (dryRun ? 0 : docs.length));
+    const duplicates = remaining ? [] : await Attendance.aggregate([
+      { $match: { phoneE164: { $ne: null }, status: { $ne: 'cancelled' } } },
+      { $group: { _id: { eventId: '$eventId', phoneE164: '$phoneE164' }, ids: { $push: '$_id' }, phones: { $push: '$phone' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+      { $project: { _id: 0, eventId: '$_id.eventId', phoneE164: '$_id.phoneE164', ids: 1, phones: 1 } }
+    ]);
+    return { processed: docs.length, invalid, duplicates, remaining };
+  },
+};
+
+app.get('/api/admin/migrations', adminOnly, (_req,res) => res.json({ data: Object.keys(MIGRATIONS) }));
+
+app.post('/api/admin/migrations/:name', adminOnly, async (req,res) => {
+  const run = MIGRATIONS[req.params.name];
+  if (!run) return res.status(404).json({ error: 'Unknown migration' });
+  try {
+    await ensureMongo();
+    const dryRun = ['1', 'true'].includes(String(req.query.dryRun));
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 200));
+    const report = await run({ dryRun, limit, req });
+    res.json({ migration: req.params.name, dryRun, ...report });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message, ...e.details });
+    console.error(`[POST /api/admin/migrations/${req.params.name}] error`, e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// ---- Bulk export / import (admin)
+// ?format=ndjson|json (default ndjson), ?revisions=1 adds each article's history, ?status= as in /api/news
+app.get('/api/admin/news/export', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const format = String(req.query.format || 'ndjson');
+    if (!['ndjson', 'json'].includes(format)) return res.status(400).json({ error: 'format must be ndjson or json' });
+    const withRevisions = ['1', 'true'].includes(String(req.query.revisions));
+    const where = req.query.status ? newsVisibilityFilter(req) : {};
+    const total = await News.countDocuments(where);
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="news-${stamp}.${format}"`);
+    res.set('Cache-Control', 'private, no-store');
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await once(res, 'drain');
+    };
+    if (format === 'json') await write(`{"exportedAt":${JSON.stringify(new Date())},"total":${total},"data":[`);
+    let n = 0;
+    for await (const doc of News.find(where).select('-__v').sort({ _id: 1 }).lean().cursor()) {
+      if (withRevisions) {
+        doc.revisions = await NewsRevision.find({ news: doc._id }).select('-_id -news -__v').sort({ rev: 1 }).lean();
+      }
+      const line = JSON.stringify(doc);
+      await write(format === 'json' ? `${n ? ',' : ''}\n${line}` : `${line}\n`);
+      n++;
+    }
+    res.end(format === 'json' ? '\n]}\n' : '');
+  } catch (e) {
+    if (res.headersSent) return res.destroy(e);
+    if (e.status) return res.status(e.status).json({ error: e.message, ...e.details });
+    console.error('[GET /api/admin/news/export] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// WordPress leaves paragraphs as blank lines in classic-editor posts (wpautop runs on display)
+function wpAutop(html) {
+  const text = String(html || '').trim();
+  if (!text || /<(p|div|h[1-6]|ul|ol|table|blockquote|figure|pre)[\s>]/i.test(text)) return text;
+  return text.split(/\n\s*\n/).map(p => `<p>${p.trim().replace(/\n/g, '<br>')}</p>`).join('\n');
+}
+// "2024-05-01 10:00:00" (GMT) -> Date; WordPress uses 0000-00-00 for drafts that were never dated
+function wpDate(gmt, fallback) {
+  if (gmt && !String(gmt).startsWith('0000')) return new Date(`${String(gmt).replace(' ', 'T')}Z`);
+  return fallback ? new Date(fallback) : null;
+}
+const WP_STATUSES = { publish: 'published', future: 'scheduled', draft: 'draft', pending: 'draft', private: 'draft' };
+// WordPress WXR export -> import records; pages, attachments and trashed posts are skipped
+function parseWxr(xml) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    parseTagValue: false,
+    isArray: (name) => ['item', 'category', 'wp:postmeta', 'wp:author'].includes(name)
+  });
+  const channel = parser.parse(xml)?.rss?.channel;
+  if (!channel) throw httpError(400, 'Not a WordPress WXR file');
+  const text = (v) => (v && typeof v === 'object' ? v['#text'] : v) ?? '';
+  const items = channel.item || [];
+  const authors = new Map((channel['wp:author'] || []).map(a => [text(a['wp:author_login']), text(a['wp:author_display_name'])]));
+  const attachments = new Map(items
+    .filter(i => text(i['wp:post_type']) === 'attachment')
+    .map(i => [text(i['wp:post_id']), text(i['wp:attachment_url'])]));
+
+  const records = [];
+  const skipped = [];
+  for (const i of items) {
+    const type = text(i['wp:post_type']);
+    if (type === 'attachment') continue;
+    const title = text(i.title);
+    const status = WP_STATUSES[text(i['wp:status'])];
+    if (type !== 'post' || !status) {
+      skipped.push({ title, reason: type !== 'post' ? `post type "${type}"` : `status "${text(i['wp:status'])}"` });
+      continue;
+    }
+    const meta = Object.fromEntries((i['wp:postmeta'] || []).map(m => [text(m['wp:meta_key']), text(m['wp:meta_value'])]));
+    const terms = (domain) => (i.category || []).filter(c => c['@_domain'] === domain).map(c => text(c)).filter(Boolean);
+    const date = wpDate(text(i['wp:post_date_gmt']), text(i.pubDate) || undefined) || new Date();
+    const seoText = (v) => (v && !v.includes('%%') ? v : undefined); // skip Yoast templates like %%title%%
+    let slug = text(i['wp:post_name']);
+    try { slug = decodeURIComponent(slug); } catch { /* keep as is */ }
+    records.push({
+      slug: slug || title,
+      title,
+      content: wpAutop(text(i['content:encoded'])),
+      contentFormat: 'html',
+      excerpt: htmlToText(text(i['excerpt:encoded'])),
+      cover: attachments.get(meta._thumbnail_id) || '',
+      date,
+      author: authors.get(text(i['dc:creator'])) || text(i['dc:creator']) || undefined,
+      categories: terms('category'),
+      tags: terms('post_tag'),
+      status,
+      publishAt: status === 'draft' ? null : date,
+      seo: { metaTitle: seoText(meta._yoast_wpseo_title), metaDescription: seoText(meta._yoast_wpseo_metadesc) }
+    });
+  }
+  return { records, skipped };
+}
+// Request body -> records: parsed JSON ([...] or { data: [...] }), NDJSON text or WXR xml
+function importRecords(req) {
+  const body = req.body;
+  const format = String(req.query.format || '') ||
+    (typeof body !== 'string' ? 'json' : body.trimStart().startsWith('<') ? 'wxr' : body.trimStart().startsWith('[') ? 'json' : 'ndjson');
+  if (format === 'wxr') {
+    if (typeof body !== 'string') throw httpError(400, 'Send the WXR file as the raw request body (Content-Type: application/xml)');
+    return { format, ...parseWxr(body) };
+  }
+  if (format === 'json') {
+    let parsed = body;
+    if (typeof body === 'string') {
+      try { parsed = JSON.parse(body); } catch { throw httpError(400, 'Invalid JSON'); }
+    }
+    const records = Array.isArray(parsed) ? parsed : parsed?.data;
+    if (!Array.isArray(records)) throw httpError(400, 'Expected an array of articles or { data: [...] }');
+    return { format, records, skipped: [] };
+  }
+  if (format === 'ndjson') {
+    if (typeof body !== 'string') throw httpError(400, 'Send NDJSON as the raw request body (Content-Type: application/x-ndjson)');
+    const records = body.split(/\r?\n/).filter(l => l.trim()).map((line, n) => {
+      try { return JSON.parse(line); } catch { return { invalid: `Invalid JSON on line ${n + 1}` }; }
+    });
+    return { format, records, skipped: [] };
+  }
+  throw httpError(400, 'format must be json, ndjson or wxr');
+}
+// Slugs (as resolveTerms would compute them) that don't match any term yet
+async function missingTerms(kind, values) {
+  const wanted = [...new Set((values || []).map(v => toSlug(v)).filter(Boolean))];
+  if (!wanted.length) return [];
+  const terms = await Term.find({ kind, $or: [{ slug: { $in: wanted } }, { aliases: { $in: wanted } }] }).select('slug aliases').lean();
+  return wanted.filter(w => !terms.some(t => t.slug === w || t.aliases.includes(w)));
+}
+// Matches the exported authorId, then the author name; unknown names become new authors
+async function importAuthor(record, { dryRun, report }) {
+  if (record.authorId && mongoose.isObjectIdOrHexString(String(record.authorId))) {
+    const byId = await Author.findById(record.authorId).lean();
+    if (byId) return { authorId: byId._id, author: byId.name };
+  }
+  const name = String(record.author || '').trim() || DEFAULT_AUTHOR;
+  const slug = toSlug(name);
+  let author = await Author.findOne({ slug }).lean();
+  if (!author) {
+    report.newAuthors.add(name);
+    if (dryRun) return { author: name };
+    author = await Author.findOneAndUpdate({ slug }, { $setOnInsert: { name, slug } }, { upsert: true, new: true, lean: true });
+  }
+  return { authorId: author._id, author: author.name };
+}
+// One import record -> News fields, with the same normalization as POST /api/news.
+// Exports carry contentSource, so markdown articles come back as markdown.
+async function importFields(record, { dryRun, report }) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) throw httpError(400, 'Not an article object');
+  if (record.invalid) throw httpError(400, record.invalid);
+  if (!record.title) throw httpError(400, 'title is required');
+  const locale = record.locale || DEFAULT_LOCALE;
+  if (!SUPPORTED_LOCALES.includes(locale)) throw httpError(400, `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
+  const date = record.date ? new Date(record.date) : new Date();
+  if (isNaN(date)) throw httpError(400, 'date must be a valid date');
+  const status = record.status || 'published';
+  // legacy articles have no publishAt; their date stands in so the import doesn't republish them "now"
+  const publishAt = record.publishAt !== undefined ? record.publishAt : (status === 'published' ? date : undefined);
+  const translations = normalizeTranslations(
+    (record.translations || []).map(t => ({ ...t, content: t.contentSource ?? t.content })),
+    locale
+  );
+  const fields = {
+    slug: toSlug(record.slug || record.title),
+    title: String(record.title),
+    ...contentFields({
+      content: record.contentSource ?? record.content ?? '',
+      contentFormat: record.contentFormat,
+      excerpt: record.excerptGenerated ? undefined : record.excerpt
+    }),
+    cover: record.cover || '',
+    date,
+    ...resolvePublishState({ status, publishAt }),
+    seo: pickSeo(record.seo),
+    locale,
+    translations,
+    ...await importAuthor(record, { dryRun, report })
+  };
+  for (const [field, kind] of Object.entries(TAXONOMIES)) {
+    if (record[field] != null && !Array.isArray(record[field])) throw httpError(400, `${field} must be an array`);
+    for (const slug of await missingTerms(kind, record[field])) report.newTerms[field].add(slug);
+    fields[field] = dryRun
+      ? [...new Set((record[field] || []).map(v => toSlug(v)).filter(Boolean))]
+      : await resolveTerms(kind, record[field], { create: true });
+  }
+  return fields;
+}
 
+// Upserts by slug. Body: JSON array / { data }, NDJSON or a WordPress WXR export (?format= to force one).
+// ?dryRun=1 reports what would happen; ?revisions=1 also restores exported history for new articles.
+app.post('/api/admin/news/import', adminOnly,
+  express.text({ type: ['application/x-ndjson', 'application/xml', 'text/xml', 'application/rss+xml', 'text/plain'], limit: '25mb' }),
+  async (req,res) => {
     try {
-      if (found.cover && R2_PUBLIC_BASE_URL && found.cover.startsWith(R2_PUBLIC_BASE_URL)) {
-        const key = extractKeyFromPublicUrl(found.cover);
-        await s3.send(new DeleteObjectCommand({ Bucket: R2_BUCKET, Key: key }));
+      await ensureMongo();
+      const dryRun = ['1', 'true'].includes(String(req.query.dryRun));
+      const withRevisions = ['1', 'true'].includes(String(req.query.revisions));
+      const { format, records, skipped } = importRecords(req);
+      const report = { newTerms: { categories: new Set(), tags: new Set() }, newAuthors: new Set() };
+      const results = [];
+      const seen = new Set();
+      for (const [index, record] of records.entries()) {
+        let slug = record?.slug || (record?.title ? toSlug(record.title) : null);
+        try {
+          const fields = await importFields(record, { dryRun, report });
+          slug = fields.slug;
+          if (seen.has(slug)) throw httpError(409, 'Duplicate slug in this import');
+          seen.add(slug);
+          const existing = await News.findOne({ slug });
+          await assertSlugsAvailable(slug, fields.translations, existing?._id);
+          if (existing) {
+            const before = existing.toObject();
+            existing.set(fields);
+            rememberOldSlugs(existing, before);
+            const changes = diffSnapshots(revisionSnapshot(before), revisionSnapshot(existing)).map(c => c.field);
+            results.push({ index, slug, action: changes.length ? 'update' : 'unchanged', changes });
+            if (dryRun || !changes.length) continue;
+            await ensureBaselineRevision(existing);
+            await existing.save();
+            await recordRevision(existing, { action: 'import', editedBy: adminActor(req) });
+          } else {
+            results.push({ index, slug, action: 'create' });
+            if (dryRun) continue;
+            const item = await News.create(fields);
+            if (withRevisions && Array.isArray(record.revisions) && record.revisions.length) {
+              await NewsRevision.insertMany(record.revisions.map(r => ({ ...r, news: item._id })));
+            }
+            await recordRevision(item, { action: 'import', editedBy: adminActor(req) });
+          }
+        } catch (e) {
+          // anything else (lost connection, ...) stops the run; earlier items are already saved, so say which
+          if (!e.status && e.name !== 'ValidationError' && e.code !== 11000) {
+            results.push({ index, slug, action: 'error', error: 'Failed' });
+            e.results = results;
+            throw e;
+          }
+          results.push({ index, slug, action: 'error', error: e.status ? e.message : e.code === 11000 ? 'Slug already exists' : e.message, ...e.details });
+        }
       }
+      const count = (action) => results.filter(r => r.action === action).length;
+      res.json({
+        dryRun,
+        format,
+        total: records.length,
+        created: count('create'),
+        updated: count('update'),
+        unchanged: count('unchanged'),
+        failed: count('error'),
+        newTerms: { categories: [...report.newTerms.categories], tags: [...report.newTerms.tags] },
+        newAuthors: [...report.newAuthors],
+        skipped,
+        results
+      });
     } catch (e) {
-      console.warn('[delete cover] non-fatal', e);
+      if (e.status) return res.status(e.status).json({ error: e.message, ...e.details });
+      console.error('[POST /api/admin/news/import] error', e);
+      res.status(500).json({ error: 'Failed', ...(e.results && { results: e.results }) });
     }
+  }
+);
 
-    res.json(found);
+// ---- Revision history (admin)
+app.get('/api/news/:id/revisions', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const found = await News.findOne(idOrSlugFilter(req.params.id)).select('_id slug').lean();
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    const data = await NewsRevision.find({ news: found._id })
+      .select('-snapshot')
+      .sort({ rev: -1 })
+      .lean();
+    res.json({ data });
   } catch (e) {
-    console.error('[DELETE /api/news/:id] error', e);
+    console.error('[GET /api/news/:id/revisions] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// ?from=<rev>&to=<rev|current>, defaults to the previous revision vs the current article
+app.get('/api/news/:id/revisions/diff', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const found = await News.findOne(idOrSlugFilter(req.params.id)).lean();
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    const side = async (value) => {
+      if (value === undefined || value === 'current') return { rev: 'current', snapshot: revisionSnapshot(found) };
+      const rev = await NewsRevision.findOne({ news: found._id, rev: parseInt(value, 10) || 0 }).lean();
+      if (!rev) throw httpError(404, `Revision ${value} not found`);
+      return rev;
+    };
+    let from;
+    if (req.query.from === undefined) {
+      const [, previous] = await NewsRevision.find({ news: found._id }).sort({ rev: -1 }).limit(2).lean();
+      if (!previous) return res.status(404).json({ error: 'No earlier revision to compare' });
+      from = previous;
+    } else {
+      from = await side(req.query.from);
+    }
+    const to = await side(req.query.to);
+    res.json({ from: from.rev, to: to.rev, changes: diffSnapshots(from.snapshot, to.snapshot) });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message, ...e.details });
+    console.error('[GET /api/news/:id/revisions/diff] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+app.get('/api/news/:id/revisions/:rev', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const found = await News.findOne(idOrSlugFilter(req.params.id)).select('_id').lean();
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    const rev = await NewsRevision.findOne({ news: found._id, rev: parseInt(req.params.rev, 10) || 0 }).lean();
+    if (!rev) return res.status(404).json({ error: 'Revision not found' });
+    res.json(rev);
+  } catch (e) {
+    console.error('[GET /api/news/:id/revisions/:rev] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+// Restoring writes the old snapshot back and records it as a new revision, so it can be undone too
+app.post('/api/news/:id/revisions/:rev/restore', adminOnly, async (req,res) => {
+  try {
+    await ensureMongo();
+    const found = await News.findOne(idOrSlugFilter(req.params.id));
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    const rev = await NewsRevision.findOne({ news: found._id, rev: parseInt(req.params.rev, 10) || 0 }).lean();
+    if (!rev) return res.status(404).json({ error: 'Revision not found' });
+    const snapshot = { ...rev.snapshot };
+    try {
+      await assertSlugsAvailable(snapshot.slug, snapshot.translations || [], found._id);
+    } catch (e) {
+      return res.status(e.status || 500).json({ error: e.message });
+    }
+    await ensureBaselineRevision(found);
+    const before = found.toObject();
+    for (const f of REVISION_FIELDS) found.set(f, snapshot[f] ?? undefined);
+    // derived fields (toc, word count…) aren't in the snapshot, so run the pipeline again
+    found.set(contentFields({
+      content: snapshot.contentSource ?? snapshot.content ?? '',
+      contentFormat: snapshot.contentFormat || 'html',
+      excerpt: snapshot.excerpt
+    }));
+    rememberOldSlugs(found, before);
+    await found.save();
+    const created = await recordRevision(found, { action: 'restore', editedBy: adminActor(req), restoredFrom: rev.rev });
+    res.json({ data: found, revision: created.rev });
+  } catch (e) {
+    if (e.name === 'ValidationError') return res.status(400).json({ error: e.message });
+    console.error('[POST /api/news/:id/revisions/:rev/restore] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+
+// ---- Feeds: RSS 2.0, Atom 1.0 and JSON Feed 1.1 (main, per category, per tag)
+const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+function escapeXml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+function cdata(str) {
+  return `<![CDATA[${String(str ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+function imageMimeType(url) {
+  const ext = String(url).split('?')[0].split('.').pop().toLowerCase();
+  return { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', avif: 'image/avif' }[ext] || 'image/webp';
+}
+function feedEntries(req, items, { full }) {
+  const base = siteBase(req);
+  return items.map(item => ({
+    id: articleUrl(base, item),
+    url: articleUrl(base, item),
+    title: item.title || '',
+    summary: item.excerpt || '',
+    html: full ? (item.content || '') : '',
+    author: item.author || SITE_NAME,
+    categories: [...(item.categories || []), ...(item.tags || [])],
+    cover: absoluteUrl(base, item.cover),
+    published: new Date(item.date || item.createdAt),
+    updated: new Date(item.updatedAt || item.date)
+  }));
+}
+function renderRss(feed) {
+  const items = feed.entries.map(e => `
+    <item>
+      <title>${escapeXml(e.title)}</title>
+      <link>${escapeXml(e.url)}</link>
+      <guid isPermaLink="true">${escapeXml(e.id)}</guid>
+      <pubDate>${e.published.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(e.author)}</dc:creator>
+${e.categories.map(c => `      <category>${escapeXml(c)}</category>\n`).join('')}      <description>${cdata(e.summary)}</description>${e.html ? `
+      <content:encoded>${cdata(e.html)}</content:encoded>` : ''}${e.cover ? `
+      <enclosure url="${escapeXml(e.cover)}" type="${imageMimeType(e.cover)}" length="0"/>` : ''}
+    </item>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${feed.language}</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>${items}
+  </channel>
+</rss>
+`;
+}
+function renderAtom(feed) {
+  const entries = feed.entries.map(e => `
+  <entry>
+    <title>${escapeXml(e.title)}</title>
+    <id>${escapeXml(e.id)}</id>
+    <link rel="alternate" href="${escapeXml(e.url)}"/>${e.cover ? `
+    <link rel="enclosure" href="${escapeXml(e.cover)}" type="${imageMimeType(e.cover)}"/>` : ''}
+    <published>${e.published.toISOString()}</published>
+    <updated>${e.updated.toISOString()}</updated>
+    <author><name>${escapeXml(e.author)}</name></author>
+${e.categories.map(c => `    <category term="${escapeXml(c)}"/>\n`).join('')}    <summary type="html">${escapeXml(e.summary)}</summary>${e.html ? `
+    <content type="html">${escapeXml(e.html)}</content>` : ''}
+  </entry>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${feed.language}">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <id>${escapeXml(feed.selfUrl)}</id>
+  <link rel="self" href="${escapeXml(feed.selfUrl)}"/>
+  <link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>
+  <updated>${feed.updated.toISOString()}</updated>${entries}
+</feed>
+`;
+}
+function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.selfUrl,
+    language: feed.language,
+    items: feed.entries.map(e => ({
+      id: e.id,
+      url: e.url,
+      title: e.title,
+      summary: e.summary || undefined,
+      ...(e.html ? { content_html: e.html } : { content_text: e.summary }),
+      image: e.cover || undefined,
+      attachments: e.cover ? [{ url: e.cover, mime_type: imageMimeType(e.cover) }] : undefined,
+      date_published: e.published.toISOString(),
+      date_modified: e.updated.toISOString(),
+      authors: [{ name: e.author }],
+      tags: e.categories
+    }))
+  });
+}
+
+// ?full=1 puts the whole article in the feed instead of the excerpt; ?limit= (max 50)
+async function sendFeed(req, res, { category, tag } = {}) {
+  try {
+    const format = req.params.format;
+    if (!FEED_FORMATS[format]) return res.status(404).json({ error: 'Unknown feed format (use rss, atom or json)' });
+    await ensureMongo();
+    const full = ['1', 'true'].includes(String(req.query.full));
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const where = publicNewsFilter();
+    const term = category ? await findTerm('category', category) : tag ? await findTerm('tag', tag) : null;
+    if (category) where.categories = await termFilter('category', category);
+    if (tag) where.tags = await termFilter('tag', tag);
+    const query = News.find(where);
+    if (!full) query.select('-content');
+    const items = await query
+      .sort({ date: -1, createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    const lastModified = newestChange(items) || Date.now();
+    const locale = resolveLocale(req);
+    const etag = etagFor(format, full, locale, items.map(i => [i._id, i.updatedAt]));
+    res.vary('Accept-Language');
+    res.set('Cache-Control', 'public, max-age=300');
+    if (notModified(req, res, { etag, lastModified })) return;
+
+    const base = siteBase(req);
+    const termSlug = term?.slug || toSlug(category || tag);
+    const label = category ? (term?.name || category) : tag && `#${term?.name || tag}`;
+    const feed = {
+      title: label ? `${SITE_NAME} — ${label}` : `${SITE_NAME} — Notícias`,
+      description: label ? `Notícias de ${SITE_NAME}: ${label}` : `Últimas notícias de ${SITE_NAME}`,
+      homeUrl: category ? categoryUrl(base, termSlug) : tag ? tagUrl(base, termSlug) : `${base}${NEWS_PATH}`,
+      selfUrl: `${apiBase(req)}${req.originalUrl.split('?')[0]}`,
+      updated: new Date(lastModified),
+      language: locale,
+      entries: feedEntries(req, items.map(i => localizeNews(i, locale)), { full })
+    };
+    const body = format === 'rss' ? renderRss(feed) : format === 'atom' ? renderAtom(feed) : renderJsonFeed(feed);
+    res.type(FEED_FORMATS[format]).send(body);
+  } catch (e) {
+    console.error('[feed] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+}
+
+app.get('/api/feeds/:format', (req,res) => sendFeed(req, res));
+app.get('/api/feeds/category/:category/:format', (req,res) => sendFeed(req, res, { category: req.params.category }));
+app.get('/api/feeds/tag/:tag/:format', (req,res) => sendFeed(req, res, { tag: req.params.tag }));
+
+
+// ---- SEO: ready-to-embed <head> data for an article (meta tags, canonical, JSON-LD)
+const OG_LOCALES = { pt: 'pt_AO', en: 'en_US' };
+function buildSeoHead(req, item) {
+  const base = siteBase(req);
+  const seo = item.seo || {};
+  const title = seo.metaTitle || `${item.title} | ${SITE_NAME}`;
+  const description = (seo.metaDescription || item.excerpt || htmlToText(item.content).slice(0, 160)).trim();
+  const canonical = seo.canonicalUrl || articleUrl(base, item);
+  const image = absoluteUrl(base, seo.ogImage || item.cover);
+  const published = new Date(item.publishAt || item.date || item.createdAt).toISOString();
+  const modified = new Date(item.updatedAt || item.date || Date.now()).toISOString();
+
+  const meta = [
+    { name: 'description', content: description },
+    { property: 'og:type', content: 'article' },
+    { property: 'og:site_name', content: SITE_NAME },
+    { property: 'og:locale', content: OG_LOCALES[item.locale] || OG_LOCALES[DEFAULT_LOCALE] },
+    ...(item.alternates || []).filter(a => a.locale !== item.locale)
+      .map(a => ({ property: 'og:locale:alternate', content: OG_LOCALES[a.locale] })),
+    { property: 'og:title', content: seo.metaTitle || item.title },
+    { property: 'og:description', content: description },
+    { property: 'og:url', content: canonical },
+    { property: 'og:image', content: image },
+    { property: 'article:published_time', content: published },
+    { property: 'article:modified_time', content: modified },
+    { property: 'article:author', content: item.author },
+    { property: 'article:section', content: (item.categories || [])[0] },
+    ...(item.tags || []).map(t => ({ property: 'article:tag', content: t })),
+    { name: 'twitter:card', content: image ? 'summary_large_image' : 'summary' },
+    { name: 'twitter:title', content: seo.metaTitle || item.title },
+    { name: 'twitter:description', content: description },
+    { name: 'twitter:image', content: image },
+  ].filter(m => m.content);
+  const links = [{ rel: 'canonical', href: canonical }];
+  if ((item.alternates || []).length > 1) {
+    for (const a of item.alternates) links.push({ rel: 'alternate', hreflang: a.locale, href: articleUrl(base, a) });
+    const fallback = item.alternates.find(a => a.locale === DEFAULT_LOCALE) || item.alternates[0];
+    links.push({ rel: 'alternate', hreflang: 'x-default', href: articleUrl(base, fallback) });
+  }
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'NewsArticle',
+    headline: item.title,
+    description,
+    image: image ? [image] : undefined,
+    datePublished: published,
+    dateModified: modified,
+    inLanguage: item.locale || DEFAULT_LOCALE,
+    author: { '@type': 'Person', name: item.author || SITE_NAME },
+    publisher: { '@type': 'Organization', name: SITE_NAME },
+    mainEntityOfPage: canonical
+  };
+  const html = [
+    `<title>${escapeHtml(title)}</title>`,
+    ...meta.map(m => m.name
+      ? `<meta name="${escapeHtml(m.name)}" content="${escapeHtml(m.content)}">`
+      : `<meta property="${escapeHtml(m.property)}" content="${escapeHtml(m.content)}">`),
+    ...links.map(l => `<link rel="${l.rel}"${l.hreflang ? ` hreflang="${l.hreflang}"` : ''} href="${escapeHtml(l.href)}">`),
+    `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script>`
+  ].join('\n');
+  return { title, description, canonical, image: image || null, meta, links, jsonLd, html };
+}
+
+// ---- Sitemap: one urlset while small, a sitemap index + pages once articles exceed SITEMAP_PAGE_SIZE
+const SITEMAP_PAGE_SIZE = 10000;
+function renderUrlset(urls) {
+  const body = urls.map(u => `
+  <url>
+    <loc>${escapeXml(u.loc)}</loc>${u.lastmod ? `
+    <lastmod>${new Date(u.lastmod).toISOString()}</lastmod>` : ''}${(u.alternates || []).map(a => `
+    <xhtml:link rel="alternate" hreflang="${a.locale}" href="${escapeXml(a.href)}"/>`).join('')}
+  </url>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">${body}
+</urlset>
+`;
+}
+function renderSitemapIndex(sitemaps) {
+  const body = sitemaps.map(s => `
+  <sitemap>
+    <loc>${escapeXml(s.loc)}</loc>${s.lastmod ? `
+    <lastmod>${new Date(s.lastmod).toISOString()}</lastmod>` : ''}
+  </sitemap>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${body}
+</sitemapindex>
+`;
+}
+// count + newest change of the public articles; drives both the split decision and the validators
+async function sitemapStats() {
+  const [stats] = await News.aggregate([
+    { $match: publicNewsFilter() },
+    { $group: { _id: null, count: { $sum: 1 }, updated: { $max: '$updatedAt' }, published: { $max: '$publishAt' } } }
+  ]);
+  const lastModified = Math.max(+new Date(stats?.updated || 0), +new Date(stats?.published || 0)) || Date.now();
+  return { count: stats?.count || 0, lastModified };
+}
+async function articleSitemapUrls(req, page) {
+  const base = siteBase(req);
+  const items = await News.find(publicNewsFilter())
+    .select('slug updatedAt date locale translations.locale translations.slug')
+    .sort({ date: -1, _id: -1 })
+    .skip((page - 1) * SITEMAP_PAGE_SIZE)
+    .limit(SITEMAP_PAGE_SIZE)
+    .lean();
+  // one <url> per language version, each listing all versions as hreflang alternates
+  return items.flatMap(i => {
+    const versions = [{ locale: i.locale || DEFAULT_LOCALE, slug: i.slug }, ...(i.translations || [])]
+      .map(v => ({ locale: v.locale, href: articleUrl(base, v) }));
+    const alternates = versions.length > 1 ? versions : undefined;
+    return versions.map(v => ({ loc: v.href, lastmod: i.updatedAt || i.date, alternates }));
+  });
+}
+async function taxonomySitemapUrls(req) {
+  const base = siteBase(req);
+  const group = (field) => News.aggregate([
+    { $match: publicNewsFilter() },
+    { $unwind: `$${field}` },
+    { $group: { _id: { $toLower: `$${field}` }, lastmod: { $max: '$updatedAt' } } },
+    { $sort: { _id: 1 } }
+  ]);
+  const [categories, tags] = await Promise.all([group('categories'), group('tags')]);
+  return [
+    ...categories.map(c => ({ loc: categoryUrl(base, c._id), lastmod: c.lastmod })),
+    ...tags.map(t => ({ loc: tagUrl(base, t._id), lastmod: t.lastmod }))
+  ];
+}
+function sendXml(res, xml) {
+  res.type('application/xml; charset=utf-8').send(xml);
+}
+
+app.get('/api/sitemap.xml', async (req,res) => {
+  try {
+    await ensureMongo();
+    const { count, lastModified } = await sitemapStats();
+    res.set('Cache-Control', 'public, max-age=3600');
+    if (notModified(req, res, { etag: etagFor('sitemap', count, lastModified), lastModified })) return;
+
+    const base = siteBase(req);
+    if (count <= SITEMAP_PAGE_SIZE) {
+      const urls = [
+        { loc: `${base}${NEWS_PATH}`, lastmod: lastModified },
+        ...await articleSitemapUrls(req, 1),
+        ...await taxonomySitemapUrls(req)
+      ];
+      return sendXml(res, renderUrlset(urls));
+    }
+    const pages = Math.ceil(count / SITEMAP_PAGE_SIZE);
+    const sitemaps = [{ loc: `${apiBase(req)}/api/sitemaps/taxonomy.xml`, lastmod: lastModified }];
+    for (let p = 1; p <= pages; p++) sitemaps.push({ loc: `${apiBase(req)}/api/sitemaps/news-${p}.xml`, lastmod: lastModified });
+    sendXml(res, renderSitemapIndex(sitemaps));
+  } catch (e) {
+    console.error('[GET /api/sitemap.xml] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+app.get('/api/sitemaps/news-:page.xml', async (req,res) => {
+  try {
+    const page = parseInt(req.params.page, 10);
+    if (!(page >= 1)) return res.status(404).json({ error: 'Not found' });
+    await ensureMongo();
+    const { count, lastModified } = await sitemapStats();
+    if (page > Math.max(1, Math.ceil(count / SITEMAP_PAGE_SIZE))) return res.status(404).json({ error: 'Not found' });
+    res.set('Cache-Control', 'public, max-age=3600');
+    if (notModified(req, res, { etag: etagFor('sitemap-news', page, count, lastModified), lastModified })) return;
+    sendXml(res, renderUrlset(await articleSitemapUrls(req, page)));
+  } catch (e) {
+    console.error('[GET /api/sitemaps/news-:page.xml] error', e);
+    res.status(500).json({ error: 'Failed' });
+  }
+});
+
+app.get('/api/sitemaps/taxonomy.xml', async (req,res) => {
+  try {
+    await ensureMongo();
+    const { count, lastModified } = await sitemapStats();
+    res.set('Cache-Control', 'public, max-age=3600');
+    if (notModified(req, res, { etag: etagFor('sitemap-taxonomy', count, lastModified), lastModified })) return;
+    const base = siteBase(req);
+    sendXml(res, renderUrlset([{ loc: `${base}${NEWS_PATH}`, lastmod: lastModified }, ...await taxonomySitemapUrls(req)]));
+  } catch (e) {
+    console.error('[GET /api/sitemaps/taxonomy.xml] error', e);
     res.status(500).json({ error: 'Failed' });
   }
 });
 
+// ---- Events: each registration belongs to one; dates, venue and contacts feed the SMS texts
+const EVENT_TIMEZONE = 'Africa/Luanda';
+const EventSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  slug: { type: String, required: true, unique: true, index: true },
+  description: { type: String, default: '' },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date },
+  timezone: { type: String, default: EVENT_TIMEZONE },
+  venue: {
+    name: { type: String, default: '' },
+    address: { type: String, default: '' },
+    mapUrl: { type: String, default: '' },
+  },
+  contact: {
+    phones: { type: [String], default: [] },
+    email: { type: String, default: '' },
+  },
+  registrationOpensAt: { type: Date },  // unset: open since creation
+  registrationClosesAt: { type: Date }, // unset: defaults to the end (or start) of the event
+  capacity: { type: Number, default: null }, // seats; null = unlimited, past it sign-ups join the waitlist
+  confirmedCount: { type: Number, default: 0 }, // seats taken, changed atomically by reserveSeat/releaseSeat
+  waitlistSeq: { type: Number, default: 0 },   // last waitlist ticket handed out (orders the waitlist)
+  smsOnPromotion: { type: Boolean, default: false },
+  // sign-ups must confirm a code sent by SMS (POST /api/attendance/verify) before they count
+  requirePhoneVerification: { type: Boolean, default: false },
+  // SMS templates; {firstName} {name} {event} {date} {time} {venue} {contacts} are filled in
+  messages: {
+    confirmation: { type: String, default: '' },
+    registration: { type: String, default: '' },
+    promotion: { type: String, default: '' },
+    waitlist: { type: String, default: '' },
+    verification: { type: String, default: '' },
+  },
+}, { timestamps: true });
+const Event = mongoose.models.Event || mongoose.model('Event', EventSchema);
+
+const DEFAULT_EVENT_MESSAGES = {
+  // sent by POST /api/attendance/:id/send-sms
+  confirmation: `Olá {firstName}! Obrigado por confirmar presença no evento {event}.
+
+📅 Data: {date}
+🕗 Hora: {time}
+📍 Local: {venue}
+🎟️ Bilhete: {ticket}
+
+Para mais informações: {contacts}
+
+Contamos com a sua presença!
+Equipe {event}`,
+  // sent right after registering through /api/attendance-with-sms
+  registration: 'Olá {firstName}! Obrigado por confirmar presença no evento {event}. O seu bilhete: {ticket}',
+  // sent by /api/attendance-with-sms when the event is full
+  waitlist: 'Olá {firstName}! O evento {event} está lotado. Ficou na lista de espera (posição {position}); avisamos se abrir uma vaga.',
+  // one-time code of the verified registration flow ({code}, {minutes})
+  verification: 'O seu código para confirmar a inscrição em {event} é {code}. Válido por {minutes} minutos.',
+  // sent when a seat opens up and a waitlisted person gets it (Event.smsOnPromotion)
+  promotion: `Olá {firstName}! Abriu uma vaga no evento {event} e a sua presença está confirmada.
+
+📅 Data: {date}
+🕗 Hora: {time}
+📍 Local: {venue}
+🎟️ Bilhete: {ticket}`
+};
+
+function eventFilter(idOrSlug) {
+  const value = String(idOrSlug);
+  return mongoose.isObjectIdOrHexString(value) ? { $or: [{ _id: value }, { slug: value }] } : { slug: value };
+}
+function registrationState(event, now = new Date()) {
+  if (event.registrationOpensAt && now < event.registrationOpensAt) return 'not-open';
+  if (event.registrationClosesAt && now >= event.registrationClosesAt) return 'closed';
+  return 'open';
+}
+function publicEvent(event) {
+  const { messages, waitlistSeq, smsOnPromotion, __v, ...rest } = event;
+  const available = event.capacity == null ? null : Math.max(0, event.capacity - (event.confirmedCount || 0));
+  return { ...rest, available, registration: registrationState(event) };
+}
+// ?event= / body.event (slug or id). Without one: the only event open for registration, or the only
+// event there is; otherwise the caller has to choose.
+async function resolveEvent(ref) {
+  if (ref) {
+    const event = await Event.findOne(eventFilter(ref)).lean();
+    if (!event) throw httpError(404, 'Evento não encontrado');
+    return event;
+  }
+  const events = await Event.find({}).sort({ startsAt: -1 }).lean();
+  const open = events.filter(e => registrationState(e) === 'open');
+  if (open.length === 1) return open[0];
+  if (events.length === 1) return events[0];
+  throw httpError(400, events.length ? 'Indique o evento (event)' : 'Nenhum evento configurado', {
+    events: events.map(e => ({ slug: e.slug, name: e.name, startsAt: e.startsAt, registration: registrationState(e) }))
+  });
+}
+// Registrations of an event; rows saved before events existed only have the event name
+function attendanceScope(event) {
+  return { $or: [{ eventId: event._id }, { eventId: null, event: event.name }] };
+}
+function formatEventDate(event) {
+  return new Intl.DateTimeFormat('pt-PT', { day: 'numeric', month: 'long', timeZone: event.timezone || EVENT_TIMEZONE })
+    .format(event.startsAt)
+    .replace(/ de (\p{Ll})/u, (_m, c) => ` de ${c.toUpperCase()}`); // "20 de Dezembro"
+}
+function formatEventTime(event) {
+  const parts = new Intl.DateTimeFormat('pt-PT', { hour: 'numeric', minute: '2-digit', hourCycle: 'h23', timeZone: event.timezone || EVENT_TIMEZONE })
+    .formatToParts(event.startsAt);
+  const part = (type) => parts.find(p => p.type === type)?.value;
+  return `${Number(part('hour'))}h${part('minute')}`; // "8h00"
+}
+function renderEventMessage(kind, event, attendance, extra = {}) {
+  const template = event.messages?.[kind] || DEFAULT_EVENT_MESSAGES[kind];
+  const values = {
+    firstName: String(attendance.name || '').trim().split(/\s+/)[0],
+    name: attendance.name,
+    event: event.name,
+    date: formatEventDate(event),
+    time: formatEventTime(event),
+    venue: [event.venue?.name, event.venue?.address].filter(Boolean).join(', '),
+    contacts: (event.contact?.phones || []).join(' | '),
+    ...extra
+  };
+  return template.replace(/\{(\w+)\}/g, (m, k) => (k in values ? values[k] ?? '' : m)).trim();
+}
+function parseEventDate(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const d = new Date(value);
+  if (isNaN(d)) throw httpError(400, `${field} deve ser uma data válida`);
+  return d;
+}
+// Fields of a create/update body; on create, registration closes with the event unless given
+function eventFields(body, current = null) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = String(body.name || '').trim();
+  if (!current && !fields.name) throw httpError(400, 'O nome do evento é obrigatório');
+  if (body.description !== undefined) fields.description = String(body.description || '');
+  for (const f of ['startsAt', 'endsAt', 'registrationOpensAt', 'registrationClosesAt']) {
+    const d = parseEventDate(body[f], f);
+    if (d !== undefined) fields[f] = d;
+  }
+  if (!current && !fields.startsAt) throw httpError(400, 'startsAt é obrigatório');
+  if (body.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('pt-PT', { timeZone: body.timezone });
+    } catch {
+      throw httpError(400, 'timezone inválido');
+    }
+    fields.timezone = body.timezone;
+  }
+  if (body.venue !== undefined) {
+    fields.venue = { name: String(body.venue?.name || ''), address: String(body.venue?.address || ''), mapUrl: String(body.venue?.mapUrl || '') };
+  }
+  if (body.contact !== undefined) {
+    const phones = Array.isArray(body.contact?.phones) ? body.contact.phones : String(body.contact?.phones || '').split(/[,;|]/);
+    fields.contact = { phones: phones.map(p => String(p).trim()).filter(Boolean), email: String(body.contact?.email || '') };
+  }
+  if (body.messages !== undefined) {
+    fields.messages = Object.fromEntries(Object.keys(DEFAULT_EVENT_MESSAGES).map(k => [k, String(body.messages?.[k] || '')]));
+  }
+  if (body.capacity !== undefined) {
+    const capacity = body.capacity === null || body.capacity === '' ? null : Number(body.capacity);
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 0)) throw httpError(400, 'capacity deve ser um número inteiro (ou null para ilimitado)');
+    fields.capacity = capacity;
+  }
+  if (body.smsOnPromotion !== undefined) fields.smsOnPromotion = !!body.smsOnPromotion;
+  if (body.requirePhoneVerification !== undefined) fields.requirePhoneVerification = !!body.requirePhoneVerification;
+  const merged = { ...current, ...fields };
+  if (merged.endsAt && merged.endsAt < merged.startsAt) throw httpError(400, 'endsAt não pode ser anterior a startsAt');
+  if (!current && !fields.registrationClosesAt) fields.registrationClosesAt = merged.endsAt || merged.startsAt;
+  return fields;
+}
+
+// Upcoming events (public); ?all=1 includes past ones
+app.get('/api/events', async (req, res) => {
+  try {
+    await ensureMongo();
+    const all = ['1', 'true'].includes(String(req.query.all));
+    const now = new Date();
+    const where = all ? {} : { $or: [{ endsAt: { $gte: now } }, { endsAt: null, startsAt: { $gte: new Date(+now - 86400000) } }] };
+    const events = await Event.find(where).sort({ startsAt: all ? -1 : 1 }).lean();
+    res.json({ success: true, data: events.map(e => (isAdmin(req) ? { ...e, registration: registrationState(e) } : publicEvent(e))) });
+  } catch (e) {
+    console.error('[GET /api/events] error', e);
+    res.status(500).json({ success: false, message: 'Erro ao obter eventos' });
+  }
+});
+
+app.get('/api/events/:event', async (req, res) => {
+  try {
+    await ensureMongo();
+    const event = await Event.findOne(eventFilter(req.params.event)).lean();
+    if (!event) return res.status(404).json({ success: false, message: 'Evento não encontrado' });
+    res.json({ success: true, data: isAdmin(req) ? { ...event, registration: registrationState(event) } : publicEvent(event) });
+  } catch (e) {
+    console.error('[GET /api/events/:event] error', e);
+    res.status(500).json({ success: false, message: 'Erro ao obter evento' });
+  }
+});
+
+app.post('/api/events', adminOnly, async (req, res) => {
+  try {
+    await ensureMongo();
+    const body = req.body || {};
+    const fields = eventFields(body);
+    const slug = toSlug(body.slug || fields.name);
+    if (await Event.exists({ slug })) return res.status(409).json({ success: false, message: 'Já existe um evento com este slug' });
+    const event = await Event.create({ ...fields, slug });
+    res.status(201).json({ success: true, data: event });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message });
+    if (e.code === 11000) return res.status(409).json({ success: false, message: 'Já existe um evento com este slug' });
+    console.error('[POST /api/events] error', e);
+    res.status(500).json({ success: false, message: 'Erro ao criar evento' });
+  }
+});
+
+// Renaming keeps the slug (printed links keep working) unless a new slug is sent
+app.put('/api/events/:event', adminOnly, async (req, res) => {
+  try {
+    await ensureMongo();
+    const event = await Event.findOne(eventFilter(req.params.event));
+    if (!event) return res.status(404).json({ success: false, message: 'Evento não encontrado' });
+    const body = req.body || {};
+    const fields = eventFields(body, event.toObject());
+    if (body.slug !== undefined && toSlug(body.slug) !== event.slug) {
+      fields.slug = toSlug(body.slug);
+      if (await Event.exists({ slug: fields.slug })) return res.status(409).json({ success: false, message: 'Já existe um evento com este slug' });
+    }
+    const previousName = event.name;
+    event.set(fields);
+    await event.save();
+    // the name is denormalized on registrations for display and old queries
+    if (event.name !== previousName) await Attendance.updateMany({ eventId: event._id }, { $set: { event: event.name } });
+    // more seats (or none to enforce) go to the waitlist straight away
+    let promoted = [];
+    if (fields.capacity !== undefined) {
+      await syncSeatCount(event);
+      promoted = await promoteFromWaitlist(event, { base: ticketBase(req) });
+    }
+    res.json({ success: true, data: await Event.findById(event._id).lean(), promoted: promoted.map(p => ({ id: p._id, name: p.name, phone: p.phone })) });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message });
+    console.error('[PUT /api/events/:event] error', e);
+    res.status(500).json({ success: false, message: 'Erro ao atualizar evento' });
+  }
+});
+
+// Refuses while the event has registrations, unless ?force=1 (which deletes them too)
+app.delete('/api/events/:event', adminOnly, async (req, res) => {
+  try {
+    await ensureMongo();
+    const event = await Event.findOne(eventFilter(req.params.event));
+    if (!event) return res.status(404).json({ success: false, message: 'Evento não encontrado' });
+    const registrations = await Attendance.countDocuments(attendanceScope(event));
+    if (registrations && !['1', 'true'].includes(String(req.query.force))) {
+      return res.status(409).json({ success: false, message: `O evento tem ${registrations} inscrição(ões); use ?force=1`, registrations });
+    }
+    await Attendance.deleteMany(attendanceScope(event));
+    await event.deleteOne();
+    res.json({ success: true, message: 'Evento eliminado', data: event, registrations });
+  } catch (e) {
+    console.error('[DELETE /api/events/:event] error', e);
+    res.status(500).json({ success: false, message: 'Erro ao eliminar evento' });
+  }
+});
 
+// ---- Phone numbers: one canonical form (E.164, e.g. +244923456789) for storage, dedupe and SMS.
+// Without a country code a number is Angolan (9 digits starting with 9 = mobile, 2 = landline, or
+// with the old leading 0); other countries must be written with + or 00.
+const DEFAULT_COUNTRY_CODE = '244';
+const ANGOLA_NATIONAL = /^[29]\d{8}$/;
+// { e164, national, countryCode } or null when the input can't be a phone number
+function parsePhone(input) {
+  const raw = String(input ?? '').trim();
+  if (!raw || /[^\d\s+().\/-]/.test(raw)) return null;
+  let digits = raw.replace(/\D/g, '');
+  const international = raw.startsWith('+') || digits.startsWith('00');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  if (!international) {
+    if (digits.length === 10 && digits.startsWith('0')) digits = digits.slice(1);
+    if (ANGOLA_NATIONAL.test(digits)) digits = DEFAULT_COUNTRY_CODE + digits;
+  }
+  if (digits.startsWith(DEFAULT_COUNTRY_CODE)) {
+    const national = digits.slice(DEFAULT_COUNTRY_CODE.length);
+    return ANGOLA_NATIONAL.test(national) ? { e164: `+${digits}`, national, countryCode: DEFAULT_COUNTRY_CODE } : null;
+  }
+  // E.164 allows 15 digits; country codes never start with 0
+  if (!international || !/^[1-9]\d{7,14}$/.test(digits)) return null;
+  return { e164: `+${digits}`, national: null, countryCode: null };
+}
+function toE164(input) {
+  return parsePhone(input)?.e164 || null;
+}
+// Ombala wants the full international number as digits only (2449XXXXXXXX)
+function smsPhone(input) {
+  const e164 = toE164(input);
+  return e164 ? e164.slice(1) : null;
+}
 
-// ---- Attendance Route for Aprenda & Empreenda Event
+// ---- Attendance: registrations for an event
+const ATTENDANCE_STATUSES = ['confirmed', 'waitlisted', 'cancelled'];
 const AttendanceSchema = new mongoose.Schema({
   name: { type: String, required: true },
-  phone: { type: String, required: true },
-  event: { type: String, default: 'Aprenda & Empreenda' },
+  phone: { type: String, required: true }, // as typed
+  phoneE164: { type: String },               // canonical (parsePhone); null when it couldn't be parsed
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', index: true },
+  event: { type: String, default: '' }, // event name at registration time
   date: { type: Date, default: Date.now },
   confirmed: { type: Boolean, default: false },
   smsSent: { type: Boolean, default: false },
   smsSentAt: { type: Date },
   smsMessageId: { type: String },
-  smsError: { type: String }
+  smsError: { type: String },
+  // rows from before the waitlist have no status and count as confirmed
+  status: { type: String, enum: ATTENDANCE_STATUSES, default: 'confirmed' },
+  waitlistSeq: { type: Number },   // order on the waitlist, from Event.waitlistSeq
+  promotedAt: { type: Date },
+  cancelledAt: { type: Date },
+  checkedInAt: { type: Date },    // scanned at the door (see POST /api/tickets/check-in)
+  checkedInBy: { type: String },
+  importedBy: { type: String },   // set for walk-ins added through /api/attendance/import
+  phoneVerifiedAt: { type: Date }, // code confirmed through /api/attendance/verify/confirm
 }, { timestamps: true });
+AttendanceSchema.index({ eventId: 1, phone: 1 });
+// One live registration per phone and event, so a double-submitted form can't take two seats.
+// Partial indexes can't use $ne/$nin: status > 'cancelled' is 'confirmed' or 'waitlisted'. Existing
+// duplicates stop the index from building; the 'phones' migration lists them.
+AttendanceSchema.index(
+  { eventId: 1, phoneE164: 1 },
+  { unique: true, name: 'attendance_phone_once', partialFilterExpression: { phoneE164: { $type: 'string' }, status: { $gt: 'cancelled' } } }
+);
+AttendanceSchema.index({ eventId: 1, status: 1, waitlistSeq: 1 });
 const Attendance = mongoose.models.Attendance || mongoose.model('Attendance', AttendanceSchema);
 
-// POST route to save attendance
+// ---- Seats and waitlist. Event.confirmedCount is only changed with conditional $inc updates, so
+// concurrent sign-ups can't take more seats than the capacity.
+const CONFIRMED = { status: { $in: ['confirmed', null] } };
+async function reserveSeat(eventId) {
+  const taken = await Event.findOneAndUpdate(
+    { _id: eventId, $or: [{ capacity: null }, { $expr: { $lt: ['$confirmedCount', '$capacity'] } }] },
+    { $inc: { confirmedCount: 1 } },
+    { projection: { _id: 1 } }
+  );
+  return !!taken;
+}
+async function releaseSeat(eventId) {
+  await Event.updateOne({ _id: eventId, confirmedCount: { $gt: 0 } }, { $inc: { confirmedCount: -1 } });
+}
+// Recounts the seats from the registrations (after capacity changes and migrations)
+async function syncSeatCount(event) {
+  const confirmedCount = await Attendance.countDocuments({ $and: [attendanceScope(event), CONFIRMED] });
+  await Event.updateOne({ _id: event._id }, { $set: { confirmedCount } });
+  return confirmedCount;
+}
+// Current place in line (1 = next to be promoted)
+async function waitlistPosition(attendance) {
+  return 1 + await Attendance.countDocuments({ eventId: attendance.eventId, status: 'waitlisted', waitlistSeq: { $lt: attendance.waitlistSeq } });
+}
+// Fills free seats from the head of the waitlist; SMS when the event asks for it (or `notify` overrides).
+// `base` is where ticket links point (ticketBase(req)); `except` is never messaged (the registrant being answered).
+async function promoteFromWaitlist(event, { notify = event.smsOnPromotion, base = TICKET_BASE_URL, except = null } = {}) {
+  const promoted = [];
+  while (await reserveSeat(event._id)) {
+    const next = await Attendance.findOneAndUpdate(
+      { eventId: event._id, status: 'waitlisted' },
+      { $set: { status: 'confirmed', confirmed: true, promotedAt: new Date() }, $unset: { waitlistSeq: 1 } },
+      { sort: { waitlistSeq: 1 }, new: true }
+    );
+    if (!next) {
+      await releaseSeat(event._id);
+      break;
+    }
+    promoted.push(next);
+    if (notify && OMBALA_API_TOKEN && !(except && next._id.equals(except))) {
+      const sms = await sendOmbalaSMS(next.phoneE164 || next.phone, renderEventMessage('promotion', event, next, { ticket: ticketUrl(base, next) }));
+      if (!sms.success) console.warn('[waitlist promotion SMS] failed', next._id, sms.error);
+    }
+  }
+  return promoted;
+}
+// Cancel or delete: a confirmed person's seat goes to the waitlist
+async function vacateSeat(attendance, options) {
+  if (!attendance.eventId || !['confirmed', null, undefined].includes(attendance.status)) return [];
+  const event = await Event.findById(attendance.eventId).lean();
+  if (!event) return [];
+  await releaseSeat(event._id);
+  return promoteFromWaitlist(event, options);
+}
+
+// Form checks shared by registration and the code request; errors carry the Portuguese message
+async function checkRegistration(event, body) {
+  const { name, phone } = body || {};
+  if (!name || !phone) throw httpError(400, 'Nome e telefone são obrigatórios');
+  if (String(name).trim().length < 3) throw httpError(400, 'Nome deve ter pelo menos 3 caracteres');
+  const phoneE164 = toE164(phone);
+  if (!phoneE164) throw httpError(400, 'Número de telefone inválido (ex.: 923 456 789 ou +351 912 345 678)');
+  const state = registrationState(event);
+  if (state === 'not-open') throw httpError(403, 'As inscrições para este evento ainda não abriram');
+  if (state === 'closed') throw httpError(403, 'As inscrições para este evento estão encerradas');
+
+  // Check if this phone already registered in any spelling (a cancelled registration can sign up again)
+  const existing = await Attendance.findOne({ $and: [
+    attendanceScope(event),
+    { $or: [{ phoneE164 }, { phone: String(phone).trim() }], status: { $ne: 'cancelled' } }
+  ] });
+  if (existing) throw httpError(409, 'Este número já foi registado para o evento');
+  return { name: String(name).trim(), phone: String(phone).trim(), phoneE164 };
+}
+
+// Validates and stores one registration, confirmed while seats last and waitlisted after that.
+// Events with requirePhoneVerification only take registrations whose code was confirmed (`verified`).
+async function registerAttendance(event, body, { base, verified = false } = {}) {
+  if (event.requirePhoneVerification && !verified) {
+    throw httpError(403, 'Este evento requer a confirmação do telefone por SMS', {
+      verification: { request: '/api/attendance/verify', confirm: '/api/attendance/verify/confirm' }
+    });
+  }
+  const { name, phone, phoneE164 } = await checkRegistration(event, body);
+
+  const seat = await reserveSeat(event._id);
+  const waitlistSeq = seat
+    ? undefined
+    : (await Event.findOneAndUpdate({ _id: event._id }, { $inc: { waitlistSeq: 1 } }, { new: true, projection: { waitlistSeq: 1 } })).waitlistSeq;
+  let attendance;
+  try {
+    attendance = await Attendance.create({
+      name,
+      phone,
+      phoneE164,
+      eventId: event._id,
+      event: event.name,
+      date: new Date(),
+      confirmed: seat,
+      status: seat ? 'confirmed' : 'waitlisted',
+      waitlistSeq,
+      phoneVerifiedAt: verified ? new Date() : undefined
+    });
+  } catch (e) {
+    if (seat) await releaseSeat(event._id);
+    // lost the race against the same phone (attendance_phone_once)
+    if (e.code === 11000) throw httpError(409, 'Este número já foi registado para o evento');
+    throw e;
+  }
+  if (!seat) {
+    // a seat freed while we were joining the line would otherwise stay empty
+    const promoted = await promoteFromWaitlist(event, { base, except: attendance._id });
+    if (promoted.some(p => p._id.equals(attendance._id))) return Attendance.findById(attendance._id);
+  }
+  return attendance;
+}
+// Registration summary for the form responses
+async function attendanceSummary(attendance, event, base) {
+  const position = attendance.status === 'waitlisted' ? await waitlistPosition(attendance) : null;
+  return {
+    message: position
+      ? `O evento está lotado. Ficou na lista de espera (posição ${position}).`
+      : 'Presença confirmada com sucesso!',
+    data: {
+      id: attendance._id,
+      name: attendance.name,
+      phone: attendance.phone,
+      phoneE164: attendance.phoneE164,
+      date: attendance.date,
+      status: attendance.status,
+      waitlistPosition: position,
+      event: { slug: event.slug, name: event.name },
+      ticket: base && hasTicket(attendance) ? ticketInfo(base, attendance) : null
+    }
+  };
+}
+
+// ---- Tickets: the code is the registration id plus an HMAC, so nothing extra is stored and
+// codes can't be guessed or edited. The QR encodes the ticket link; check-in accepts either.
+function ticketSignature(id) {
+  return createHmac('sha256', TICKET_SECRET || ADMIN_KEY).update(`ticket:${id}`).digest('base64url').slice(0, 12);
+}
+function ticketCode(attendance) {
+  const id = String(attendance._id);
+  return `${Buffer.from(id, 'hex').toString('base64url')}.${ticketSignature(id)}`;
+}
+// Registration id of a valid code (or ticket link), otherwise null
+function parseTicketCode(value) {
+  const code = String(value || '').trim().replace(/[?#].*$/, '').split('/').filter(Boolean).pop() || '';
+  const m = /^([A-Za-z0-9_-]{16})\.([A-Za-z0-9_-]{12})$/.exec(code);
+  if (!m) return null;
+  const id = Buffer.from(m[1], 'base64url').toString('hex');
+  const expected = Buffer.from(ticketSignature(id));
+  const given = Buffer.from(m[2]);
+  return given.length === expected.length && timingSafeEqual(given, expected) ? id : null;
+}
+function ticketBase(req) {
+  return (TICKET_BASE_URL || `${apiBase(req)}/api/tickets`).replace(/\/+$/, '');
+}
+function ticketUrl(base, attendance) {
+  return hasTicket(attendance) ? `${String(base || '').replace(/\/+$/, '')}/${ticketCode(attendance)}` : '';
+}
+// Waitlisted and cancelled registrations get no ticket
+function hasTicket(attendance) {
+  return [undefined, null, 'confirmed'].includes(attendance.status);
+}
+function ticketInfo(base, attendance) {
+  const url = ticketUrl(base, attendance);
+  return { code: ticketCode(attendance), url, qr: `${url}/qr.png` };
+}
+// Door staff: admin key or, when configured, the check-in key
+function checkinStaff(req, res, next) {
+  if (isAdmin(req) || (CHECKIN_KEY && req.header('x-checkin-key') === CHECKIN_KEY)) return next();
+  res.status(401).json({ success: false, message: 'Não autorizado' });
+}
+
+// POST route to save attendance ({ name, phone, event? })
 app.post('/api/attendance', async (req, res) => {
   try {
     await ensureMongo();
-    
-    const { name, phone } = req.body;
-    
-    // Basic validation
-    if (!name || !phone) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Nome e telefone são obrigatórios' 
-      });
-    }
-    
-    if (name.length < 3) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Nome deve ter pelo menos 3 caracteres' 
-      });
-    }
-    
-    if (phone.length < 9) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Telefone deve ter pelo menos 9 dígitos' 
-      });
-    }
-    
-    // Check if this phone already registered
-    const existing = await Attendance.findOne({ 
-      phone: phone,
-      event: 'Aprenda & Empreenda'
-    });
-    
-    if (existing) {
-      return res.status(409).json({ 
-        success: false, 
-        message: 'Este número já foi registado para o evento' 
-      });
-    }
-    
-    // Create attendance record
-    const attendance = await Attendance.create({
-      name: name.trim(),
-      phone: phone.trim(),
-      event: 'Aprenda & Empreenda',
-      date: new Date(),
-      confirmed: true
-    });
-    
+    const event = await resolveEvent(req.body?.event || req.query.event);
+    const attendance = await registerAttendance(event, req.body, { base: ticketBase(req) });
+
     res.status(201).json({ 
       success: true, 
-      message: 'Presença confirmada com sucesso!',
-      data: {
-        id: attendance._id,
-        name: attendance.name,
-        phone: attendance.phone,
-        date: attendance.date
-      }
+      ...await attendanceSummary(attendance, event, ticketBase(req))
     });
     
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message, ...e.details });
     console.error('[POST /api/attendance] error', e);
     res.status(500).json({ 
       success: false, 
@@ -509,17 +4002,19 @@ app.post('/api/attendance', async (req, res) => {
 app.get('/api/attendance', adminOnly, async (req, res) => {
   try {
     await ensureMongo();
-    const { event = 'Aprenda & Empreenda' } = req.query;
-    const attendees = await Attendance.find({ event })
+    const event = await resolveEvent(req.query.event);
+    const attendees = await Attendance.find(attendanceScope(event))
       .sort({ date: -1 })
       .lean();
     
     res.json({ 
       success: true, 
       count: attendees.length,
+      event: publicEvent(event),
       data: attendees 
     });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message, ...e.details });
     console.error('[GET /api/attendance] error', e);
     res.status(500).json({ 
       success: false, 
@@ -528,12 +4023,55 @@ app.get('/api/attendance', adminOnly, async (req, res) => {
   }
 });
 
+// Search and list filters of /api/attendance/public, shared with the export
+function attendanceListQuery(event, { search = '', filter = 'all' } = {}) {
+  const conditions = [attendanceScope(event)];
+  search = String(search || '');
+  
+  // Apply search filter
+  if (search.trim() !== '') {
+    const searchRegex = new RegExp(escapeRegex(search.trim()), 'i');
+    conditions.push({ $or: [
+      { name: searchRegex },
+      { phone: { $regex: escapeRegex(search.trim()) } },
+      ...(search.replace(/\D/g, '').length >= 3 ? [{ phoneE164: { $regex: search.replace(/\D/g, '') } }] : [])
+    ] });
+  }
+  
+  // Apply SMS filter
+  if (filter === 'sms-sent') {
+    conditions.push({ smsSent: true });
+  } else if (filter === 'sms-not-sent') {
+    conditions.push({ smsSent: false });
+  } else if (filter === 'confirmed') {
+    conditions.push(CONFIRMED);
+  } else if (filter === 'waitlisted' || filter === 'cancelled') {
+    conditions.push({ status: filter });
+  } else if (filter === 'checked-in') {
+    conditions.push({ checkedInAt: { $ne: null } });
+  } else if (filter === 'not-checked-in') {
+    conditions.push(CONFIRMED, { checkedInAt: null });
+  }
+  return { $and: conditions };
+}
+function attendanceListSort({ filter, sortBy = 'date', sortOrder = 'desc' } = {}) {
+  // Build sort - fix for date field
+  const sort = {};
+  if (filter === 'waitlisted') {
+    sort.waitlistSeq = 1; // queue order
+  } else if (sortBy === 'date') {
+    sort.date = sortOrder === 'asc' ? 1 : -1;
+  } else {
+    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+  }
+  return sort;
+}
+
 // ---- Public Admin Routes (no authentication needed for viewing)
 app.get('/api/attendance/public', async (req, res) => {
   try {
     await ensureMongo();
     const {
-      event = 'Aprenda & Empreenda',
         page = 1,
         limit = 10,
         search = '',
@@ -542,59 +4080,19 @@ app.get('/api/attendance/public', async (req, res) => {
         sortOrder = 'desc'
     } = req.query;
     
-    console.log('Public attendance request:', { event, page, limit, search, filter, sortBy, sortOrder });
-    
-    // Try to get all events first to see what we have
-    const allEvents = await Attendance.distinct('event');
-    console.log('Available events in database:', allEvents);
-    
-    // Build query - first try with exact event name
-    let query = { event: event };
-    
-    // If no results with exact name, try case-insensitive
-    const countWithExactEvent = await Attendance.countDocuments(query);
-    console.log(`Records with exact event "${event}":`, countWithExactEvent);
-    
-    if (countWithExactEvent === 0 && allEvents.length > 0) {
-      // Try with first available event
-      query = { event: allEvents[0] };
-      console.log(`Trying with event: "${allEvents[0]}" instead`);
-    }
-    
-    // Apply search filter
-    if (search && search.trim() !== '') {
-      const searchRegex = new RegExp(search.trim(), 'i');
-      query.$or = [
-        { name: searchRegex },
-        { phone: { $regex: search.trim() } }
-      ];
-    }
-    
-    // Apply SMS filter
-    if (filter === 'sms-sent') {
-      query.smsSent = true;
-    } else if (filter === 'sms-not-sent') {
-      query.smsSent = false;
-    }
-    
-    console.log('Final query:', JSON.stringify(query));
+    const event = await resolveEvent(req.query.event);
+    const scope = attendanceScope(event);
+    const query = attendanceListQuery(event, { search, filter });
     
     // Calculate pagination
     const pageNum = Math.max(1, parseInt(page));
     const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
     const skip = (pageNum - 1) * limitNum;
     
-    // Build sort - fix for date field
-    const sort = {};
-    if (sortBy === 'date') {
-      sort.date = sortOrder === 'asc' ? 1 : -1;
-    } else {
-      sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
-    }
+    const sort = attendanceListSort({ filter, sortBy, sortOrder });
     
     // Get total count
     const total = await Attendance.countDocuments(query);
-    console.log('Total matching records:', total);
     
     // Get data with pagination
     const data = await Attendance.find(query)
@@ -603,14 +4101,12 @@ app.get('/api/attendance/public', async (req, res) => {
       .limit(limitNum)
       .lean();
     
-    console.log(`Retrieved ${data.length} records`);
-    
-    // Get current event from query (might have changed)
-    const currentEvent = query.event;
-    
-    // Calculate statistics using the current event
-    const totalCount = await Attendance.countDocuments({ event: currentEvent });
-    const smsSentCount = await Attendance.countDocuments({ event: currentEvent, smsSent: true });
+    // Calculate statistics for the event
+    const totalCount = await Attendance.countDocuments(scope);
+    const smsSentCount = await Attendance.countDocuments({ ...scope, smsSent: true });
+    const confirmedCount = await Attendance.countDocuments({ $and: [scope, CONFIRMED] });
+    const waitlistedCount = await Attendance.countDocuments({ ...scope, status: 'waitlisted' });
+    const checkIn = await checkInStats(event);
     
     // Today's date at start of day
     const today = new Date();
@@ -620,7 +4116,7 @@ app.get('/api/attendance/public', async (req, res) => {
     tomorrow.setDate(tomorrow.getDate() + 1);
     
     const todayCount = await Attendance.countDocuments({
-      event: currentEvent,
+      ...scope,
       date: { $gte: today, $lt: tomorrow }
     });
     
@@ -629,7 +4125,7 @@ app.get('/api/attendance/public', async (req, res) => {
     oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
     
     const weekCount = await Attendance.countDocuments({
-      event: currentEvent,
+      ...scope,
       date: { $gte: oneWeekAgo }
     });
     
@@ -638,7 +4134,7 @@ app.get('/api/attendance/public', async (req, res) => {
     twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
     
     const lastWeekCount = await Attendance.countDocuments({
-      event: currentEvent,
+      ...scope,
       date: { $gte: twoWeeksAgo, $lt: oneWeekAgo }
     });
     
@@ -647,7 +4143,7 @@ app.get('/api/attendance/public', async (req, res) => {
     yesterday.setDate(yesterday.getDate() - 1);
     
     const yesterdayCount = await Attendance.countDocuments({
-      event: currentEvent,
+      ...scope,
       date: { $gte: yesterday, $lt: today }
     });
     
@@ -662,7 +4158,7 @@ app.get('/api/attendance/public', async (req, res) => {
     
     // SMS sent today
     const smsTodayCount = await Attendance.countDocuments({
-      event: currentEvent,
+      ...scope,
       smsSentAt: { $gte: today, $lt: tomorrow }
     });
     
@@ -682,18 +4178,22 @@ app.get('/api/attendance/public', async (req, res) => {
         week: weekCount,
         weekChange,
         todayChange,
-        smsToday: smsTodayCount
+        smsToday: smsTodayCount,
+        confirmed: confirmedCount,
+        waitlisted: waitlistedCount,
+        capacity: event.capacity ?? null,
+        available: event.capacity == null ? null : Math.max(0, event.capacity - confirmedCount),
+        checkedIn: checkIn.checkedIn,
+        notCheckedIn: checkIn.remaining,
+        checkInRate: checkIn.registered ? Math.round((checkIn.checkedIn / checkIn.registered) * 100) : 0
       },
-      debug: {
-        queryEvent: currentEvent,
-        allEvents: allEvents,
-        recordCount: total
-      }
+      event: publicEvent(event)
     };
     
     res.json(response);
     
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message, ...e.details });
     console.error('[GET /api/attendance/public] error', e);
     console.error('Error stack:', e.stack);
     res.status(500).json({
@@ -721,11 +4221,13 @@ app.delete('/api/attendance/public/:id', async (req, res) => {
         message: 'Registro não encontrado'
       });
     }
+    const promoted = await vacateSeat(deleted, { base: ticketBase(req) });
     
     res.json({
       success: true,
       message: 'Inscrição eliminada com sucesso',
-      data: deleted
+      data: deleted,
+      promoted: promoted.map(p => ({ id: p._id, name: p.name, phone: p.phone }))
     });
     
   } catch (e) {
@@ -737,6 +4239,471 @@ app.delete('/api/attendance/public/:id', async (req, res) => {
   }
 });
 
+// Cancel a registration (admin): the record stays for history, a confirmed seat goes to the waitlist
+app.post('/api/attendance/:id/cancel', adminOnly, async (req, res) => {
+  try {
+    await ensureMongo();
+    if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Registro não encontrado' });
+    }
+    const previous = await Attendance.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: 'cancelled' } },
+      { $set: { status: 'cancelled', confirmed: false, cancelledAt: new Date() }, $unset: { waitlistSeq: 1 } }
+    );
+    if (!previous) {
+      const exists = await Attendance.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Inscrição já cancelada' : 'Registro não encontrado'
+      });
+    }
+    const notify = req.body?.notify;
+    const promoted = await vacateSeat(previous, { base: ticketBase(req), ...(notify === undefined ? {} : { notify: !!notify }) });
+
+    res.json({
+      success: true,
+      message: 'Inscrição cancelada com sucesso',
+      data: await Attendance.findById(previous._id).lean(),
+      promoted: promoted.map(p => ({ id: p._id, name: p.name, phone: p.phone }))
+    });
+  } catch (e) {
+    console.error('[POST /api/attendance/:id/cancel] error', e);
+    res.status(500).json({ success: false, message: 'Erro ao cancelar inscrição' });
+  }
+});
+
+// ---- Attendee export / bulk import (admin)
+const ATTENDANCE_STATUS_LABELS = { confirmed: 'Confirmada', waitlisted: 'Lista de espera', cancelled: 'Cancelada' };
+const ATTENDEE_EXPORT_COLUMNS = [
+  { header: 'Nome', width: 32, value: (a) => a.name },
+  { header: 'Telefone', width: 18, value: (a) => a.phone },
+  { header: 'Telefone (internacional)', width: 20, value: (a) => a.phoneE164 || '' },
+  { header: 'Estado', width: 16, value: (a) => ATTENDANCE_STATUS_LABELS[a.status || 'confirmed'] },
+  { header: 'Data de inscrição', width: 18, value: (a, tz) => formatExportDate(a.date, tz) },
+  { header: 'SMS enviado', width: 12, value: (a) => (a.smsSent ? 'Sim' : 'Não') },
+  { header: 'SMS enviado em', width: 18, value: (a, tz) => formatExportDate(a.smsSentAt, tz) },
+  { header: 'Entrada', width: 18, value: (a, tz) => formatExportDate(a.checkedInAt, tz) },
+  { header: 'Entrada registada por', width: 20, value: (a) => a.checkedInBy || '' }
+];
+// Header aliases (compared as slugs) for imported sheets; our own export imports back as-is
+const ATTENDEE_IMPORT_HEADERS = {
+  name: ['nome', 'name', 'nome-completo', 'participante'],
+  phone: ['telefone', 'phone', 'telemovel', 'contacto', 'numero', 'numero-de-telefone'],
+  date: ['data', 'date', 'data-de-inscricao']
+};
+const ATTENDEE_IMPORT_MAX_ROWS = 5000;
+// "20/12/2025 08:05" in the event's timezone
+function formatExportDate(date, timeZone = EVENT_TIMEZONE) {
+  if (!date) return '';
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('pt-PT', {
+    timeZone, day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(new Date(date)).map(p => [p.type, p.value]));
+  return `${parts.day}/${parts.month}/${parts.year} ${parts.hour}:${parts.minute}`;
+}
+// Spreadsheets run cells starting with = + - @ (or tab/CR) as formulas, and read +244... as a number:
+// any such cell gets a leading quote, which keeps it text. The import strips it again.
+function csvCell(value) {
+  let v = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(v)) v = `'${v}`;
+  return /[",;\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+// Excel in pt (what event staff use) splits CSV columns on ";"
+const CSV_DELIMITER = ';';
+function attendeeExportRow(attendance, timeZone) {
+  return ATTENDEE_EXPORT_COLUMNS.map(c => c.value(attendance, timeZone));
+}
+// RFC 4180 with the delimiter guessed from the header line (Excel in pt uses ";")
+function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const endRow = () => {
+    row.push(cell);
+    rows.push(row);
+    row = [];
+    cell = '';
+  };
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (src[i + 1] === '"') cell += src[++i]; // "" is an escaped quote
+      else quoted = false;
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) endRow();
+  return rows;
+}
+// Rows of the first sheet as arrays of trimmed strings
+async function readSheetRows(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, n) => {
+    rows[n - 1] = Array.from({ length: row.cellCount }, (_, i) => row.getCell(i + 1).text);
+  });
+  return Array.from(rows, r => r || []);
+}
+// { format, rows: [{ row, name, phone, date }] } from a multipart `file` or a text/csv body
+async function attendeeImportRows(req) {
+  const file = req.file;
+  const isXlsx = file && (/\.xlsx$/i.test(file.originalname) || file.mimetype.includes('spreadsheetml') || file.buffer.subarray(0, 2).toString() === 'PK');
+  let table;
+  if (isXlsx) {
+    try {
+      table = await readSheetRows(file.buffer);
+    } catch {
+      throw httpError(400, 'Ficheiro XLSX inválido');
+    }
+  } else {
+    const text = file ? file.buffer.toString('utf8') : typeof req.body === 'string' ? req.body : '';
+    if (!text.trim()) throw httpError(400, 'Envie um ficheiro CSV ou XLSX (campo "file") ou o CSV no corpo do pedido');
+    table = parseCsv(text);
+  }
+  const header = (table[0] || []).map(h => toSlug(String(h).trim()));
+  const columns = Object.fromEntries(Object.entries(ATTENDEE_IMPORT_HEADERS).map(([field, aliases]) => [field, header.findIndex(h => aliases.includes(h))]));
+  if (columns.name < 0 || columns.phone < 0) {
+    throw httpError(400, 'O ficheiro precisa das colunas "Nome" e "Telefone"', { headers: table[0] || [] });
+  }
+  const rows = [];
+  for (let i = 1; i < table.length; i++) {
+    // the quote csvCell() puts in front of +244..., =... when exporting
+    const cells = table[i].map(c => String(c ?? '').trim().replace(/^'(?=[=+\-@])/, ''));
+    if (!cells.some(Boolean)) continue; // blank lines
+    rows.push({ row: i + 1, name: cells[columns.name] || '', phone: cells[columns.phone] || '', date: columns.date >= 0 ? cells[columns.date] || '' : '' });
+  }
+  if (rows.length > ATTENDEE_IMPORT_MAX_ROWS) throw httpError(413, `Máximo de ${ATTENDEE_IMPORT_MAX_ROWS} linhas por importação`);
+  return { format: isXlsx ? 'xlsx' : 'csv', rows };
+}
+// "20/12/2025 08:05" (as exported, in the event's timezone) or anything Date understands
+function parseImportDate(value, timeZone) {
+  const m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/.exec(String(value || '').trim());
+  if (!m) {
+    const d = value ? new Date(value) : null;
+    return d && !isNaN(d) ? d : null;
+  }
+  const utc = Date.UTC(+m[3], +m[2] - 1, +m[1], +(m[4] || 0), +(m[5] || 0));
+  // Date.UTC rolls 31/02 over into March; reject anything that doesn't round-trip
+  const check = new Date(utc);
+  if (check.getUTCFullYear() !== +m[3] || check.getUTCMonth() !== +m[2] - 1 || check.getUTCDate() !== +m[1]
+    || +(m[4] || 0) > 23 || +(m[5] || 0) > 59) return null;
+  // shift by the zone's offset at that moment
+  const local = new Date(new Date(utc).toLocaleString('en-US', { timeZone }) + ' UTC');
+  return new Date(utc - (local - utc));
+}
+const sheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+});
+function acceptSheetUpload(req, res, next) {
+  sheetUpload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ success: false, message: err.message });
+  });
+}
+
+// Same search/filter/sort as /api/attendance/public; ?format=csv|xlsx
+app.get('/api/attendance/export', adminOnly, async (req, res) => {
+  try {
+    await ensureMongo();
+    const format = String(req.query.format || 'csv');
+    if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ success: false, message: 'format deve ser csv ou xlsx' });
+    const { search = '', filter = 'all', sortBy = 'date', sortOrder = 'desc' } = req.query;
+    const event = await resolveEvent(req.query.event);
+    const timeZone = event.timezone || EVENT_TIMEZONE;
+    const cursor = Attendance.find(attendanceListQuery(event, { search, filter }))
+      .sort(attendanceListSort({ filter, sortBy, sortOrder }))
+      .lean()
+      .cursor();
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="inscritos-${event.slug}-${stamp}.${format}"`);
+    res.set('Cache-Control', 'private, no-store');
+    if (format === 'xlsx') {
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const sheet = workbook.addWorksheet('Inscritos', { views: [{ state: 'frozen', ySplit: 1 }] });
+      sheet.columns = ATTENDEE_EXPORT_COLUMNS.map(c => ({ header: c.header, width: c.width }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+      for await (const a of cursor) sheet.addRow(attendeeExportRow(a, timeZone)).commit();
+      await workbook.commit();
+      return;
+    }
+    res.type('text/csv; charset=utf-8');
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await once(res, 'drain');
+    };
+    // BOM so Excel reads the accents as UTF-8
+    await write('\uFEFF' + ATTENDEE_EXPORT_COLUMNS.map(c => csvCell(c.header)).join(CSV_DELIMITER) + '\r\n');
+    for await (const a of cursor) {
+      await write(attendeeExportRow(a, timeZone).map(csvCell).join(CSV_DELIMITER) + '\r\n');
+    }
+    res.end();
+  } catch (e) {
+    if (res.headersSent) return res.destroy(e);
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message, ...e.details });
+    console.error('[GET /api/attendance/export] error', e);
+    res.status(500).json({ success: false, message: 'Erro ao exportar participantes' });
+  }
+});
+
+// Walk-in lists: CSV or XLSX with "Nome" and "Telefone" (optional "Data"). Every row is validated
+// and checked against the event and the rest of the file. By default nothing is saved and the
+// per-row report comes back as a preview; ?commit=1 saves the valid rows, and is refused while any
+// row has an error unless ?skipErrors=1. Repeated phones are skipped either way. Imported people
+// are confirmed even past capacity (they were there); ?checkedIn=1 also marks them as checked in.
+app.post('/api/attendance/import', adminOnly, acceptSheetUpload,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    try {
+      await ensureMongo();
+      const commit = ['1', 'true'].includes(String(req.query.commit));
+      const skipErrors = ['1', 'true'].includes(String(req.query.skipErrors));
+      const checkedIn = ['1', 'true'].includes(String(req.query.checkedIn));
+      const event = await resolveEvent(req.query.event || req.body?.event);
+      const { format, rows } = await attendeeImportRows(req);
+
+      const parsed = rows.map(r => ({ ...r, phoneE164: toE164(r.phone) }));
+      const registered = new Set((await Attendance.find({ $and: [
+        attendanceScope(event),
+        { status: { $ne: 'cancelled' } },
+        { $or: [{ phoneE164: { $in: parsed.map(r => r.phoneE164).filter(Boolean) } }, { phone: { $in: parsed.map(r => r.phone) } }] }
+      ] }).select('phone phoneE164').lean()).flatMap(a => [a.phoneE164 || toE164(a.phone), a.phone]));
+      const seen = new Map();
+      const results = [];
+      const toCreate = [];
+      for (const r of parsed) {
+        const result = { row: r.row, name: r.name, phone: r.phone, phoneE164: r.phoneE164 };
+        const date = r.date ? parseImportDate(r.date, event.timezone || EVENT_TIMEZONE) : new Date();
+        if (r.name.length < 3) Object.assign(result, { action: 'error', error: 'Nome deve ter pelo menos 3 caracteres' });
+        else if (!r.phoneE164) Object.assign(result, { action: 'error', error: 'Número de telefone inválido' });
+        else if (!date) Object.assign(result, { action: 'error', error: 'Data inválida' });
+        else if (seen.has(r.phoneE164)) Object.assign(result, { action: 'duplicate', error: `Telefone repetido (linha ${seen.get(r.phoneE164)})` });
+        else if (registered.has(r.phoneE164) || registered.has(r.phone)) Object.assign(result, { action: 'duplicate', error: 'Já inscrito neste evento' });
+        else {
+          result.action = 'create';
+          toCreate.push({
+            result,
+            doc: {
+            name: r.name,
+            phone: r.phone,
+            phoneE164: r.phoneE164,
+            eventId: event._id,
+            event: event.name,
+            date,
+            confirmed: true,
+            status: 'confirmed',
+            importedBy: adminActor(req),
+            ...(checkedIn ? { checkedInAt: new Date(), checkedInBy: adminActor(req) } : {})
+            }
+          });
+        }
+        if (result.action === 'create') seen.set(r.phoneE164, r.row);
+        results.push(result);
+      }
+      const count = (action) => results.filter(r => r.action === action).length;
+      if (commit && count('error') && !skipErrors) {
+        return res.status(422).json({
+          success: false,
+          message: `${count('error')} linha(s) com erros: corrija o ficheiro ou importe com skipErrors=1`,
+          dryRun: true,
+          format,
+          failed: count('error'),
+          results
+        });
+      }
+      if (commit && toCreate.length) {
+        try {
+          await Attendance.insertMany(toCreate.map(c => c.doc), { ordered: false });
+        } catch (e) {
+          // ordered: false keeps going; rows that did fail are reported, the others are saved
+          if (!e.writeErrors) throw e;
+          for (const w of [].concat(e.writeErrors)) {
+            const code = w.err?.code ?? w.code;
+            Object.assign(toCreate[w.index].result, code === 11000
+              ? { action: 'duplicate', error: 'Já inscrito neste evento' }
+              : { action: 'error', error: w.err?.errmsg || w.errmsg || 'Erro ao gravar' });
+          }
+        } finally {
+          await syncSeatCount(event);
+        }
+      }
+      res.status(commit ? 201 : 200).json({
+        success: true,
+        message: commit
+          ? `${count('create')} participantes importados`
+          : `Pré-visualização: ${count('create')} a importar, ${count('duplicate')} repetidos, ${count('error')} com erros. Importe com commit=1`,
+        dryRun: !commit,
+        format,
+        event: { slug: event.slug, name: event.name },
+        total: rows.length,
+        created: count('create'),
+        duplicates: count('duplicate'),
+        failed: count('error'),
+        results
+      });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ success: false, message: e.message, ...e.details });
+      console.error('[POST /api/attendance/import] error', e);
+      res.status(500).json({ success: false, message: 'Erro ao importar participantes' });
+    }
+  }
+);
+
+// Ticket of one registration (admin), e.g. to resend it
+app.get('/api/attendance/:id/ticket', adminOnly, async (req, res) => {
+  try {
+    await ensureMongo();
+    const attendance = mongoose.isObjectIdOrHexString(req.params.id) ? await Attendance.findById(req.params.id).lean() : null;
+    if (!attendance) return res.status(404).json({ success: false, message: 'Registro não encontrado' });
+    if (!hasTicket(attendance)) return res.status(409).json({ success: false, message: 'Só inscrições confirmadas têm bilhete', status: attendance.status });
+    res.json({ success: true, data: ticketInfo(ticketBase(req), attendance) });
+  } catch (e) {
+    console.error('[GET /api/attendance/:id/ticket] error', e);
+    res.status(500).json({ success: false, message: 'Erro ao obter bilhete' });
+  }
+});
+
+// Checked-in versus registered (confirmed) for the live counters
+async function checkInStats(event) {
+  const scope = attendanceScope(event);
+  const registered = await Attendance.countDocuments({ $and: [scope, CONFIRMED] });
+  const checkedIn = await Attendance.countDocuments({ $and: [scope, CONFIRMED, { checkedInAt: { $ne: null } }] });
+  return { registered, checkedIn, remaining: registered - checkedIn };
+}
+async function findTicket(code) {
+  const id = parseTicketCode(code);
+  if (!id) throw httpError(404, 'Bilhete inválido');
+  const attendance = await Attendance.findById(id).lean();
+  if (!attendance) throw httpError(404, 'Bilhete inválido');
+  return attendance;
+}
+
+// Door check-in: verifies the signature, then marks the ticket used exactly once.
+// Body: { code } (the code or the scanned ticket link), optional { event } to refuse other events' tickets.
+app.post('/api/tickets/check-in', checkinStaff, async (req, res) => {
+  try {
+    await ensureMongo();
+    const attendance = await findTicket(req.body?.code);
+    const event = attendance.eventId ? await Event.findById(attendance.eventId).lean() : null;
+    if (req.body?.event && (!event || ![String(event._id), event.slug].includes(String(req.body.event)))) {
+      return res.status(409).json({ success: false, message: `Este bilhete é do evento ${attendance.event || 'desconhecido'}`, event: attendance.event });
+    }
+    if (!hasTicket(attendance)) {
+      return res.status(409).json({ success: false, message: attendance.status === 'cancelled' ? 'Inscrição cancelada' : 'Inscrição na lista de espera', status: attendance.status });
+    }
+    const checkedIn = await Attendance.findOneAndUpdate(
+      { _id: attendance._id, checkedInAt: null },
+      { $set: { checkedInAt: new Date(), checkedInBy: adminActor(req) } },
+      { new: true }
+    ).lean();
+    const person = { id: attendance._id, name: attendance.name, phone: attendance.phone };
+    if (!checkedIn) {
+      const used = await Attendance.findById(attendance._id).select('checkedInAt checkedInBy').lean();
+      return res.status(409).json({
+        success: false,
+        message: 'Bilhete já utilizado',
+        data: { ...person, checkedInAt: used?.checkedInAt, checkedInBy: used?.checkedInBy }
+      });
+    }
+    res.json({
+      success: true,
+      message: `Entrada registada: ${attendance.name}`,
+      data: { ...person, checkedInAt: checkedIn.checkedInAt, checkedInBy: checkedIn.checkedInBy },
+      statistics: event ? await checkInStats(event) : null
+    });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message, ...e.details });
+    console.error('[POST /api/tickets/check-in] error', e);
+    res.status(500).json({ success: false, message: 'Erro ao registar entrada' });
+  }
+});
+
+// Undo a check-in scanned by mistake
+app.delete('/api/tickets/check-in/:id', checkinStaff, async (req, res) => {
+  try {
+    await ensureMongo();
+    const attendance = mongoose.isObjectIdOrHexString(req.params.id)
+      ? await Attendance.findByIdAndUpdate(req.params.id, { $unset: { checkedInAt: 1, checkedInBy: 1 } }, { new: true }).lean()
+      : null;
+    if (!attendance) return res.status(404).json({ success: false, message: 'Registro não encontrado' });
+    res.json({ success: true, message: 'Entrada anulada', data: attendance });
+  } catch (e) {
+    console.error('[DELETE /api/tickets/check-in/:id] error', e);
+    res.status(500).json({ success: false, message: 'Erro ao anular entrada' });
+  }
+});
+
+app.get('/api/tickets/:code/qr.png', async (req, res) => {
+  try {
+    await ensureMongo();
+    const attendance = await findTicket(req.params.code);
+    if (!hasTicket(attendance)) return res.status(410).json({ success: false, message: 'Bilhete sem validade' });
+    const png = await QRCode.toBuffer(ticketUrl(ticketBase(req), attendance), { type: 'png', width: 512, margin: 2 });
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type('image/png').send(png);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message });
+    console.error('[GET /api/tickets/:code/qr.png] error', e);
+    res.status(500).json({ success: false, message: 'Erro ao gerar QR code' });
+  }
+});
+
+// The link sent by SMS: a small page with the QR for browsers, JSON for the apps
+app.get('/api/tickets/:code', async (req, res) => {
+  try {
+    await ensureMongo();
+    const attendance = await findTicket(req.params.code);
+    const event = attendance.eventId ? await Event.findById(attendance.eventId).lean() : null;
+    const valid = hasTicket(attendance);
+    const data = {
+      name: attendance.name,
+      status: attendance.status || 'confirmed',
+      valid,
+      checkedInAt: attendance.checkedInAt || null,
+      event: event ? publicEvent(event) : { name: attendance.event }
+    };
+    res.set('Cache-Control', 'private, no-store');
+    if (req.accepts(['json', 'html']) !== 'html') return res.json({ success: true, data });
+
+    const qr = valid ? await QRCode.toDataURL(ticketUrl(ticketBase(req), attendance), { width: 320, margin: 2 }) : null;
+    const when = event ? `${formatEventDate(event)}, ${formatEventTime(event)}` : '';
+    const venue = event ? [event.venue?.name, event.venue?.address].filter(Boolean).join(', ') : '';
+    res.type('html').send(`<!doctype html>
+<html lang="pt"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>Bilhete · ${escapeHtml(data.event.name)}</title>
+<style>body{font-family:system-ui,sans-serif;max-width:420px;margin:2rem auto;padding:0 1rem;text-align:center}img{width:100%;max-width:320px}</style>
+</head><body>
+<h1>${escapeHtml(data.event.name)}</h1>
+<p><strong>${escapeHtml(attendance.name)}</strong></p>
+${when ? `<p>${escapeHtml(when)}${venue ? `<br>${escapeHtml(venue)}` : ''}</p>` : ''}
+${qr ? `<img src="${qr}" alt="QR code do bilhete">` : `<p>Este bilhete não é válido (${escapeHtml(data.status)}).</p>`}
+${data.checkedInAt ? '<p>Entrada já registada.</p>' : ''}
+</body></html>`);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message });
+    console.error('[GET /api/tickets/:code] error', e);
+    res.status(500).json({ success: false, message: 'Erro ao obter bilhete' });
+  }
+});
+
 // Debug endpoint to check database contents
 app.get('/api/attendance/debug', async (req, res) => {
   try {
@@ -790,23 +4757,13 @@ const OMBALA_SENDER_NAME = process.env.OMBALA_SENDER_NAME || 'APRENDAEMPR';
 // Send SMS via Ombala API
 async function sendOmbalaSMS(phoneNumber, message) {
   try {
-    // Clean phone number (remove spaces, plus signs, etc.)
-    const cleanPhone = phoneNumber.replace(/\D/g, '');
-    
-    // Ensure phone starts with country code for Angola
-    let formattedPhone = cleanPhone;
-    if (!formattedPhone.startsWith('244')) {
-      if (formattedPhone.startsWith('9') || formattedPhone.startsWith('2')) {
-        formattedPhone = '244' + formattedPhone;
-      } else if (formattedPhone.startsWith('0')) {
-        formattedPhone = '244' + formattedPhone.substring(1);
-      }
-    }
+    const formattedPhone = smsPhone(phoneNumber);
+    if (!formattedPhone) return { success: false, error: 'Número de telefone inválido' };
     
     const payload = {
       message: message,
       from: OMBALA_SENDER_NAME,
-      to: cleanPhone
+      to: formattedPhone
     };
     
     const response = await axios.post(OMBALA_API_URL, payload, {
@@ -857,22 +4814,23 @@ app.post('/api/attendance/:id/send-sms', adminOnly, async (req, res) => {
       });
     }
     
-    // Prepare thank you message
-    const message = customMessage || `
-Olá ${attendance.name.split(' ')[0]}! Obrigado por confirmar presença no evento Aprenda & Empreenda.
-
-📅 Data: 20 de Dezembro
-🕗 Hora: 8h00
-📍 Local: Sala de Conferência do Shopping Popular (Camama)
-
-Para mais informações: 942 218 877 | 953 990 348
-
-Contamos com a sua presença!
-Equipe Aprenda & Empreenda
-    `.trim();
+    // Prepare thank you message from the event's details
+    let message = customMessage;
+    if (!message) {
+      const event = attendance.eventId
+        ? await Event.findById(attendance.eventId).lean()
+        : await Event.findOne({ name: attendance.event }).lean();
+      if (!event) {
+        return res.status(409).json({
+          success: false,
+          message: 'O registo não está associado a um evento; envie customMessage ou associe-o a um evento'
+        });
+      }
+      message = renderEventMessage('confirmation', event, attendance, { ticket: ticketUrl(ticketBase(req), attendance) });
+    }
     
     // Send SMS
-    const smsResult = await sendOmbalaSMS(attendance.phone, message);
+    const smsResult = await sendOmbalaSMS(attendance.phoneE164 || attendance.phone, message);
     
     if (smsResult.success) {
       // Update attendance record with SMS info
@@ -912,87 +4870,19 @@ Equipe Aprenda & Empreenda
 app.post('/api/attendance-with-sms', async (req, res) => {
   try {
     await ensureMongo();
+    const event = await resolveEvent(req.body?.event || req.query.event);
+    const attendance = await registerAttendance(event, req.body, { base: ticketBase(req) });
+    const smsResult = await sendRegistrationSms(attendance, event, ticketBase(req));
     
-    const { name, phone } = req.body;
-    
-    // Basic validation
-    if (!name || !phone) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Nome e telefone são obrigatórios' 
-      });
-    }
-    
-    if (name.length < 3) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Nome deve ter pelo menos 3 caracteres' 
-      });
-    }
-    
-    if (phone.length < 9) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Telefone deve ter pelo menos 9 dígitos' 
-      });
-    }
-    
-    // Check if this phone already registered
-    const existing = await Attendance.findOne({ 
-      phone: phone,
-      event: 'Aprenda & Empreenda'
-    });
-    
-    if (existing) {
-      return res.status(409).json({ 
-        success: false, 
-        message: 'Este número já foi registado para o evento' 
-      });
-    }
-    
-    // Create attendance record
-    const attendance = await Attendance.create({
-      name: name.trim(),
-      phone: phone.trim(),
-      event: 'Aprenda & Empreenda',
-      date: new Date(),
-      confirmed: true
-    });
-    
-    // Try to send SMS (non-blocking)
-    let smsResult = null;
-    if (OMBALA_API_TOKEN && OMBALA_SENDER_NAME) {
-      try {
-        const message = `
-Olá ${name.split(' ')[0]}! Obrigado por confirmar presença na Conferência Aprenda & Empreenda.`.trim();
-        
-        smsResult = await sendOmbalaSMS(phone, message);
-        
-        if (smsResult.success) {
-          attendance.smsSent = true;
-          attendance.smsSentAt = new Date();
-          attendance.smsMessageId = smsResult.messageId;
-          await attendance.save();
-        }
-      } catch (smsError) {
-        console.warn('[Auto SMS] Failed to send:', smsError.message);
-        // Continue even if SMS fails
-      }
-    }
-    
+    const summary = await attendanceSummary(attendance, event, ticketBase(req));
     res.status(201).json({ 
       success: true, 
-      message: 'Presença confirmada com sucesso!' + (smsResult?.success ? ' SMS enviado.' : ''),
-      data: {
-        id: attendance._id,
-        name: attendance.name,
-        phone: attendance.phone,
-        date: attendance.date,
-        smsSent: smsResult?.success || false
-      }
+      message: summary.message + (smsResult?.success ? ' SMS enviado.' : ''),
+      data: { ...summary.data, smsSent: smsResult?.success || false }
     });
     
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message, ...e.details });
     console.error('[POST /api/attendance-with-sms] error', e);
     res.status(500).json({ 
       success: false, 
@@ -1002,6 +4892,181 @@ Olá ${name.split(' ')[0]}! Obrigado por confirmar presença na Conferência Apr
 });
 
 
+// ---- Verified registration: the form asks for a code by SMS, the registration waits in
+// PhoneVerification until the code comes back (or expires). Attempts and sends are limited per
+// phone and per IP on top of the per-code attempt count.
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES || 10);
+const OTP_MAX_ATTEMPTS = 5;       // wrong codes before a new one must be requested
+const OTP_RESEND_SECONDS = 60;    // minimum wait between two codes for the same phone
+const OTP_SEND_LIMITS = {
+  phone: { limit: Number(process.env.OTP_SEND_LIMIT || 3), windowSeconds: 60 * 60 },
+  ip: { limit: 10, windowSeconds: 60 * 60 }
+};
+const OTP_CHECK_LIMITS = {
+  phone: { limit: 10, windowSeconds: 60 * 60 },
+  ip: { limit: 30, windowSeconds: 60 * 60 }
+};
+const PhoneVerificationSchema = new mongoose.Schema({
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true },
+  phoneE164: { type: String, required: true },
+  name: { type: String, required: true },
+  phone: { type: String, required: true }, // as typed
+  withSms: { type: Boolean, default: false }, // came from /api/attendance-with-sms: send the registration SMS too
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  sends: { type: Number, default: 0 },
+  lastSentAt: { type: Date },
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+PhoneVerificationSchema.index({ eventId: 1, phoneE164: 1 }, { unique: true });
+PhoneVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const PhoneVerification = mongoose.models.PhoneVerification || mongoose.model('PhoneVerification', PhoneVerificationSchema);
+
+function otpHash(eventId, phoneE164, code) {
+  return createHmac('sha256', ADMIN_KEY).update(`otp:${eventId}:${phoneE164}:${code}`).digest('base64url');
+}
+// 429 with Retry-After when any of the limits is used up
+async function otpRateLimit(res, kind, limits, keys) {
+  for (const [scope, limit] of Object.entries(limits)) {
+    const hit = await hitRateLimit(`otp-${kind}:${scope}:${keys[scope]}`, limit);
+    if (!hit.allowed) {
+      res.set('Retry-After', String(hit.retryAfter));
+      throw httpError(429, 'Demasiados pedidos. Tente novamente mais tarde.', { retryAfter: hit.retryAfter });
+    }
+  }
+}
+// The registration SMS of /api/attendance-with-sms (waitlist notice when the event is full);
+// null when SMS isn't configured. Failures don't fail the registration.
+async function sendRegistrationSms(attendance, event, base) {
+  if (!OMBALA_API_TOKEN || !OMBALA_SENDER_NAME) return null;
+  try {
+    const message = attendance.status === 'waitlisted'
+      ? renderEventMessage('waitlist', event, attendance, { position: await waitlistPosition(attendance) })
+      : renderEventMessage('registration', event, attendance, { ticket: ticketUrl(base, attendance) });
+    
+    const smsResult = await sendOmbalaSMS(attendance.phoneE164 || attendance.phone, message);
+    
+    if (smsResult.success) {
+      attendance.smsSent = true;
+      attendance.smsSentAt = new Date();
+      attendance.smsMessageId = smsResult.messageId;
+      await attendance.save();
+    }
+    return smsResult;
+  } catch (smsError) {
+    console.warn('[Auto SMS] Failed to send:', smsError.message);
+    return null;
+  }
+}
+
+// Step 1: validates the form like POST /api/attendance and sends the code. Calling it again for
+// the same phone sends a new code (after OTP_RESEND_SECONDS). Body: { name, phone, event, sms }
+app.post('/api/attendance/verify', async (req, res) => {
+  try {
+    await ensureMongo();
+    if (!OMBALA_API_TOKEN || !OMBALA_SENDER_NAME) {
+      return res.status(503).json({ success: false, message: 'A confirmação por SMS não está disponível' });
+    }
+    const event = await resolveEvent(req.body?.event || req.query.event);
+    const registrant = await checkRegistration(event, req.body);
+    const { phoneE164 } = registrant;
+
+    const previous = await PhoneVerification.findOne({ eventId: event._id, phoneE164 }).select('lastSentAt').lean();
+    const wait = previous?.lastSentAt ? Math.ceil((previous.lastSentAt.getTime() + OTP_RESEND_SECONDS * 1000 - Date.now()) / 1000) : 0;
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({ success: false, message: `Aguarde ${wait} segundos para pedir um novo código`, retryAfter: wait });
+    }
+    await otpRateLimit(res, 'send', OTP_SEND_LIMITS, { phone: phoneE164, ip: visitorHash(req) });
+
+    const code = String(randomInt(0, 1000000)).padStart(6, '0');
+    const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+    const save = () => PhoneVerification.findOneAndUpdate(
+      { eventId: event._id, phoneE164 },
+      {
+        $set: {
+          name: registrant.name, phone: registrant.phone, withSms: !!req.body?.sms,
+          codeHash: otpHash(event._id, phoneE164, code), attempts: 0, lastSentAt: new Date(), expiresAt
+        },
+        $inc: { sends: 1 }
+      },
+      { upsert: true, new: true, lean: true }
+    );
+    const pending = await save().catch(e => { if (e.code === 11000) return save(); throw e; });
+
+    const sms = await sendOmbalaSMS(phoneE164, renderEventMessage('verification', event, registrant, { code, minutes: OTP_TTL_MINUTES }));
+    if (!sms.success) {
+      // let them try again straight away
+      await PhoneVerification.updateOne({ _id: pending._id }, { $unset: { lastSentAt: 1 } });
+      return res.status(502).json({ success: false, message: 'Não foi possível enviar o SMS. Verifique o número e tente novamente.' });
+    }
+    res.status(202).json({
+      success: true,
+      message: `Enviámos um código por SMS para o número terminado em ${phoneE164.slice(-3)}`,
+      data: { verificationId: pending._id, expiresAt, resendAfter: OTP_RESEND_SECONDS, attemptsLeft: OTP_MAX_ATTEMPTS }
+    });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message, ...e.details });
+    console.error('[POST /api/attendance/verify] error', e);
+    res.status(500).json({ success: false, message: 'Erro ao enviar o código. Tente novamente.' });
+  }
+});
+
+// Step 2: { verificationId, code }; a right code inside its expiry turns the pending sign-up into
+// a registration (same response as POST /api/attendance)
+app.post('/api/attendance/verify/confirm', async (req, res) => {
+  try {
+    await ensureMongo();
+    const { verificationId, code } = req.body || {};
+    if (!verificationId || !code) return res.status(400).json({ success: false, message: 'verificationId e código são obrigatórios' });
+    await otpRateLimit(res, 'check', { ip: OTP_CHECK_LIMITS.ip }, { ip: visitorHash(req) });
+
+    const pending = mongoose.isObjectIdOrHexString(String(verificationId)) ? await PhoneVerification.findById(verificationId).lean() : null;
+    // the TTL monitor only runs every minute
+    if (!pending || pending.expiresAt <= new Date()) {
+      return res.status(410).json({ success: false, message: 'O código expirou. Peça um novo código.' });
+    }
+    await otpRateLimit(res, 'check', { phone: OTP_CHECK_LIMITS.phone }, { phone: pending.phoneE164 });
+    if (pending.attempts >= OTP_MAX_ATTEMPTS) {
+      return res.status(429).json({ success: false, message: 'Demasiadas tentativas. Peça um novo código.', attemptsLeft: 0 });
+    }
+
+    const codeHash = otpHash(pending.eventId, pending.phoneE164, String(code).replace(/\s/g, ''));
+    // deleting it claims the code, so two confirmations of the same code can't both register
+    const claimed = await PhoneVerification.findOneAndDelete({ _id: pending._id, codeHash, attempts: { $lt: OTP_MAX_ATTEMPTS } });
+    if (!claimed) {
+      const failed = await PhoneVerification.findOneAndUpdate(
+        { _id: pending._id, codeHash: { $ne: codeHash } },
+        { $inc: { attempts: 1 } },
+        { new: true, lean: true }
+      );
+      if (!failed) return res.status(410).json({ success: false, message: 'O código expirou. Peça um novo código.' });
+      const attemptsLeft = Math.max(0, OTP_MAX_ATTEMPTS - failed.attempts);
+      return res.status(400).json({
+        success: false,
+        message: attemptsLeft ? `Código incorreto. Restam ${attemptsLeft} tentativa(s).` : 'Código incorreto. Peça um novo código.',
+        attemptsLeft
+      });
+    }
+
+    const event = await Event.findById(claimed.eventId).lean();
+    if (!event) return res.status(404).json({ success: false, message: 'Evento não encontrado' });
+    const attendance = await registerAttendance(event, { name: claimed.name, phone: claimed.phone }, { base: ticketBase(req), verified: true });
+    const smsResult = claimed.withSms ? await sendRegistrationSms(attendance, event, ticketBase(req)) : null;
+
+    const summary = await attendanceSummary(attendance, event, ticketBase(req));
+    res.status(201).json({
+      success: true,
+      message: summary.message + (smsResult?.success ? ' SMS enviado.' : ''),
+      data: { ...summary.data, phoneVerified: true, smsSent: smsResult?.success || false }
+    });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message, ...e.details });
+    console.error('[POST /api/attendance/verify/confirm] error', e);
+    res.status(500).json({ success: false, message: 'Erro ao confirmar o código. Tente novamente.' });
+  }
+});
+
 // ---- Messenger SMS Routes
 app.post('/api/messenger/send', async (req, res) => {
   try {
@@ -1024,8 +5089,10 @@ app.post('/api/messenger/send', async (req, res) => {
     // Convert phoneNumbers to array if it's a string
     let numbersArray = [];
     if (typeof phoneNumbers === 'string') {
-      // Split by commas, semicolons, spaces, or newlines
-      numbersArray = phoneNumbers.split(/[,;\s\n]+/)
+      // Split by commas, semicolons or newlines; spaces separate numbers only when they aren't
+      // inside one (e.g. "+244 923 456 789")
+      numbersArray = phoneNumbers.split(/[,;\n]+/)
+        .flatMap(num => (toE164(num) ? [num] : num.split(/\s+/)))
         .map(num => num.trim())
         .filter(num => num.length > 0);
     } else if (Array.isArray(phoneNumbers)) {
@@ -1037,34 +5104,15 @@ app.post('/api/messenger/send', async (req, res) => {
       });
     }
     
-    // Validate and clean phone numbers
-    const cleanedNumbers = numbersArray.map(phone => {
-      // Remove all non-digit characters
-      let clean = phone.replace(/\D/g, '');
-      
-      // If number starts with 9 or 2 (Angolan mobile) and is 9 digits, use as is
-      if (clean.length === 9 && (clean.startsWith('9') || clean.startsWith('2'))) {
-        return clean;
-      }
-      
-      // If number starts with 0, remove it (Angolan numbers)
-      if (clean.startsWith('0') && clean.length === 10) {
-        return clean.substring(1);
-      }
-      
-      // If number is 12 digits and starts with 244, remove country code
-      if (clean.length === 12 && clean.startsWith('244')) {
-        return clean.substring(3);
-      }
-      
-      // Return original if doesn't match patterns
-      return clean;
-    }).filter(phone => phone.length >= 9); // Filter out invalid numbers
+    // Validate and normalize phone numbers (E.164, without repeats)
+    const invalidNumbers = numbersArray.filter(phone => !toE164(phone));
+    const cleanedNumbers = [...new Set(numbersArray.map(toE164).filter(Boolean))];
     
     if (cleanedNumbers.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Nenhum número de telefone válido encontrado'
+        message: 'Nenhum número de telefone válido encontrado',
+        invalid: invalidNumbers
       });
     }
     
@@ -1121,7 +5169,8 @@ app.post('/api/messenger/send', async (req, res) => {
         failed: failed
       },
       results: results,
-      numbers: cleanedNumbers
+      numbers: cleanedNumbers,
+      invalid: invalidNumbers
     });
     
   } catch (e) {